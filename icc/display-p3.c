@@ -0,0 +1,41 @@
+/*
+ * Writes a Display P3 ICC profile (P3 primaries, D65 white, sRGB transfer curve)
+ * No Ubuntu package ships one; built into the base image by Dockerfile.base.
+ * Usage: display-p3 <output.icc>
+ */
+
+#include <stdio.h>
+#include <lcms2.h>
+
+int main(int argc, char **argv) {
+  if (argc != 2) {
+    fprintf(stderr, "usage: %s <output.icc>\n", argv[0]);
+    return 2;
+  }
+
+  cmsCIExyY white = { 0.3127, 0.3290, 1.0 };
+  cmsCIExyYTRIPLE primaries = {
+    { 0.680, 0.320, 1.0 },
+    { 0.265, 0.690, 1.0 },
+    { 0.150, 0.060, 1.0 }
+  };
+
+  // IEC 61966-2-1 curve as lcms parametric type 4: g, a, b, c, d
+  cmsFloat64Number srgb[5] = { 2.4, 1.0 / 1.055, 0.055 / 1.055, 1.0 / 12.92, 0.04045 };
+  cmsToneCurve *curve = cmsBuildParametricToneCurve(NULL, 4, srgb);
+  cmsToneCurve *curves[3] = { curve, curve, curve };
+
+  cmsHPROFILE profile = cmsCreateRGBProfile(&white, &primaries, curves);
+  if (!profile) return 1;
+
+  cmsMLU *description = cmsMLUalloc(NULL, 1);
+  cmsMLUsetASCII(description, "en", "US", "Display P3");
+  cmsWriteTag(profile, cmsSigProfileDescriptionTag, description);
+
+  int ok = cmsSaveProfileToFile(profile, argv[1]);
+
+  cmsMLUfree(description);
+  cmsFreeToneCurve(curve);
+  cmsCloseProfile(profile);
+  return ok ? 0 : 1;
+}
@@ -0,0 +1,286 @@
+/**
+ * Content-addressed disk caches
+ * LRU-evicted entry directories keyed by hash, used to skip recomputing identical runs
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_MAX_BYTES = 1024 * 1024 * 1024; // 1 GB
+
+/**
+ * JSON.stringify with sorted object keys, so equal values hash equally
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 hex digest of a string or Buffer
+ */
+export function hashValue(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * SHA-256 hex digest of a file's contents (streamed)
+ */
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Total size of the files in a directory (non-recursive)
+ */
+function dirSize(dir) {
+  let size = 0;
+  for (const name of fs.readdirSync(dir)) {
+    try { size += fs.statSync(path.join(dir, name)).size; } catch {}
+  }
+  return size;
+}
+
+/**
+ * Create a disk cache rooted at dir, capped at maxBytes
+ * Each entry is a directory of files plus meta.json. Entries are evicted
+ * least-recently-used first; the index is rebuilt from mtimes on startup.
+ */
+export function createDiskCache({ dir, maxBytes = DEFAULT_MAX_BYTES }) {
+  const index = new Map(); // key → size, in LRU order (oldest first)
+  let totalBytes = 0;
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const existing = [];
+  for (const name of fs.readdirSync(dir)) {
+    const entryDir = path.join(dir, name);
+    if (name.startsWith('.tmp-')) {
+      fs.rmSync(entryDir, { recursive: true, force: true });
+      continue;
+    }
+    try {
+      existing.push({ key: name, size: dirSize(entryDir), mtime: fs.statSync(entryDir).mtimeMs });
+    } catch {}
+  }
+  existing.sort((a, b) => a.mtime - b.mtime);
+  for (const entry of existing) {
+    index.set(entry.key, entry.size);
+    totalBytes += entry.size;
+  }
+
+  const remove = (key) => {
+    totalBytes -= index.get(key) || 0;
+    index.delete(key);
+    fs.rmSync(path.join(dir, key), { recursive: true, force: true });
+  };
+
+  const evict = () => {
+    while (totalBytes > maxBytes && index.size > 0) {
+      remove(index.keys().next().value);
+    }
+  };
+
+  evict();
+
+  return {
+    /**
+     * Look up an entry; marks it most recently used
+     * Returns: { dir, meta } or null
+     */
+    get(key) {
+      if (!index.has(key)) return null;
+      const entryDir = path.join(dir, key);
+      let meta;
+      try {
+        meta = JSON.parse(fs.readFileSync(path.join(entryDir, 'meta.json'), 'utf-8'));
+      } catch {
+        remove(key);
+        return null;
+      }
+
+      const size = index.get(key);
+      index.delete(key);
+      index.set(key, size);
+      // Persist recency for the index rebuild after a restart
+      const now = new Date();
+      try { fs.utimesSync(entryDir, now, now); } catch {}
+
+      return { dir: entryDir, meta };
+    },
+
+    /**
+     * Store an entry
+     * files: { name: Buffer | sourceFilePath }, copied into the entry directory
+     */
+    put(key, files, meta = {}) {
+      if (index.has(key)) return;
+
+      const tmpDir = path.join(dir, `.tmp-${crypto.randomBytes(6).toString('hex')}`);
+      fs.mkdirSync(tmpDir);
+      try {
+        for (const [name, content] of Object.entries(files)) {
+          const dest = path.join(tmpDir, name);
+          if (Buffer.isBuffer(content)) fs.writeFileSync(dest, content);
+          else fs.copyFileSync(content, dest);
+        }
+        fs.writeFileSync(path.join(tmpDir, 'meta.json'), JSON.stringify(meta));
+        fs.renameSync(tmpDir, path.join(dir, key));
+      } catch (e) {
+        // Another run may have stored the same key first
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        if (!fs.existsSync(path.join(dir, key))) throw e;
+        return;
+      }
+
+      const size = dirSize(path.join(dir, key));
+      index.set(key, size);
+      totalBytes += size;
+      evict();
+    },
+
+    /**
+     * Current usage
+     */
+    stats() {
+      return { entries: index.size, bytes: totalBytes, maxBytes };
+    }
+  };
+}
+
+// Result cache for whole pipeline runs; disabled unless RESULT_CACHE_DIR is set
+const resultCache = process.env.RESULT_CACHE_DIR
+  ? createDiskCache({
+      dir: process.env.RESULT_CACHE_DIR,
+      maxBytes: Number(process.env.RESULT_CACHE_MAX_BYTES) || DEFAULT_MAX_BYTES
+    })
+  : null;
+
+/**
+ * True if the result cache is configured
+ */
+export function isResultCacheEnabled() {
+  return resultCache !== null;
+}
+
+/**
+ * Cache key for a pipeline run
+ * Inputs are identified by content fingerprints (not their URLs or credentials),
+ * so re-signed URLs for the same object still hit. includes holds the profiles
+ * that include steps pulled in, so editing one invalidates the runs using it.
+ * Import options (raw, autoOrient) change the decoded pixels, so they count too.
+ */
+export function resultCacheKey(pipeline, params, fingerprints, includes) {
+  const decoding = Object.entries(pipeline.inputs || {})
+    .filter(([, spec]) => spec && (spec.raw || spec.autoOrient))
+    .map(([name, spec]) => [name, { raw: spec.raw, autoOrient: spec.autoOrient }]);
+
+  return hashValue(stableStringify({
+    steps: pipeline.steps,
+    params,
+    inputs: fingerprints,
+    decoding: decoding.length > 0 ? Object.fromEntries(decoding) : undefined,
+    includes
+  }));
+}
+
+/**
+ * Load cached outputs for a key
+ * Returns the outputs array (buffers re-read from disk) or null
+ */
+export function getCachedResult(key) {
+  if (!resultCache) return null;
+  const entry = resultCache.get(key);
+  if (!entry) return null;
+
+  try {
+    return entry.meta.outputs.map(o => {
+      const { file, ...output } = o;
+      return file ? { ...output, buffer: fs.readFileSync(path.join(entry.dir, file)) } : output;
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a run's outputs
+ * Buffered outputs are written as files; S3 outputs keep only their location,
+ * since an identical run writes identical objects to identical keys.
+ */
+export function putCachedResult(key, outputs) {
+  if (!resultCache) return;
+
+  const files = {};
+  const described = outputs.map((o, i) => {
+    const { buffer, ...output } = o;
+    if (!buffer) return output;
+    const file = `output-${i}`;
+    files[file] = buffer;
+    return { ...output, file };
+  });
+
+  resultCache.put(key, files, { outputs: described, createdAt: new Date().toISOString() });
+}
+
+// Intermediate cache for individual non-export steps; disabled unless STEP_CACHE_DIR is set
+const stepCache = process.env.STEP_CACHE_DIR
+  ? createDiskCache({
+      dir: process.env.STEP_CACHE_DIR,
+      maxBytes: Number(process.env.STEP_CACHE_MAX_BYTES) || DEFAULT_MAX_BYTES
+    })
+  : null;
+
+/**
+ * True if the step cache is configured
+ */
+export function isStepCacheEnabled() {
+  return stepCache !== null;
+}
+
+/**
+ * Cache key for a single step
+ * Built from the content hashes of its input files and the magick args from
+ * buildOperation, so it is independent of temp file names and step position.
+ */
+export function stepCacheKey(op, inputHashes, args, outputFormat) {
+  return hashValue(stableStringify({ op, inputs: inputHashes, args, outputFormat }));
+}
+
+/**
+ * Copy a cached step output to destPath
+ * Returns the cached output's content hash, or null on a miss
+ */
+export function getCachedStep(key, destPath) {
+  if (!stepCache) return null;
+  const entry = stepCache.get(key);
+  if (!entry) return null;
+
+  try {
+    fs.copyFileSync(path.join(entry.dir, 'output'), destPath, fs.constants.COPYFILE_FICLONE);
+    return entry.meta.outputHash;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a step output file along with its content hash
+ */
+export function putCachedStep(key, outputPath, outputHash) {
+  if (!stepCache) return;
+  stepCache.put(key, { output: outputPath }, { outputHash, createdAt: new Date().toISOString() });
+}
@@ -0,0 +1,146 @@
+/**
+ * Webhook callbacks
+ * POSTs signed pipeline results to a client-supplied URL, retrying with backoff
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+
+const MAX_ATTEMPTS = Number(process.env.CALLBACK_MAX_ATTEMPTS) || 5;
+const BASE_DELAY = Number(process.env.CALLBACK_RETRY_DELAY_MS) || 1000;
+// Hosts callbacks may reach even on private addresses (e.g. an n8n on the same network)
+const ALLOWED_HOSTS = new Set((process.env.CALLBACK_ALLOWED_HOSTS || '')
+  .split(',').map(host => host.trim().toLowerCase()).filter(Boolean));
+
+// Loopback, private, link-local (cloud metadata), shared, benchmarking, multicast
+// and reserved ranges; IPv4-mapped IPv6 addresses match the IPv4 ones
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_NETWORKS.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_NETWORKS.addSubnet(prefix, bits, 'ipv6');
+}
+
+export const SIGNATURE_HEADER = 'X-Signature';
+export const TIMESTAMP_HEADER = 'X-Signature-Timestamp';
+
+/**
+ * Sign a payload body
+ * Signature is HMAC-SHA256 over "<timestamp>.<body>", hex encoded
+ */
+export function signPayload(body, timestamp, secret) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Host of a URL as CALLBACK_ALLOWED_HOSTS lists it (IPv6 addresses without brackets)
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+/**
+ * True for an IP address callbacks may not reach unless its host is allowed
+ */
+export function isPrivateAddress(address) {
+  return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Resolve a callback host for axios, refusing private addresses at connect time
+// (so a host cannot pass checkCallbackUrl and then resolve elsewhere)
+async function publicLookup(hostname, options) {
+  const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) throw new Error(`callback host "${hostname}" resolves to private address ${blocked.address}`);
+  return addresses;
+}
+
+// Error message for a host given as a private IP address (and not allowed), else null
+// Node connects to IP addresses without a lookup, so publicLookup never sees them.
+function privateHostError(hostname) {
+  if (ALLOWED_HOSTS.has(hostname) || !net.isIP(hostname) || !isPrivateAddress(hostname)) return null;
+  return `callback host "${hostname}" is a private address`;
+}
+
+/**
+ * Check that a callback URL may be called: hosts not in CALLBACK_ALLOWED_HOSTS
+ * must not be, or resolve to, a private, loopback or link-local address
+ * Returns: an error message, or null
+ */
+export async function checkCallbackUrl(url) {
+  let hostname;
+  try {
+    hostname = hostOf(url);
+  } catch {
+    return 'callback url is not a valid URL';
+  }
+  if (ALLOWED_HOSTS.has(hostname) || net.isIP(hostname)) return privateHostError(hostname);
+  try {
+    await publicLookup(hostname, {});
+  } catch (e) {
+    return e.code ? `callback host "${hostname}" could not be resolved (${e.code})` : e.message;
+  }
+  return null;
+}
+
+/**
+ * Deliver a payload to the callback URL
+ * Retries non-2xx responses and network errors with exponential backoff.
+ * Redirects are not followed, and private addresses are refused as in
+ * checkCallbackUrl (for hosts that resolve to one, on every attempt).
+ * Resolves with { delivered, attempts, status?, error? }; never throws.
+ */
+export async function deliverCallback(callback, event, payload) {
+  const secret = callback.secret || process.env.CALLBACK_SECRET;
+  const body = JSON.stringify({ event, ...payload });
+  let lastError;
+
+  let hostname;
+  let refused;
+  try {
+    hostname = hostOf(callback.url);
+    refused = privateHostError(hostname);
+  } catch {
+    refused = 'callback url is not a valid URL';
+  }
+  if (refused) {
+    console.error(`Callback to ${callback.url} refused: ${refused}`);
+    return { delivered: false, attempts: 0, error: refused };
+  }
+  const allowed = ALLOWED_HOSTS.has(hostname);
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    // Re-sign on every attempt so the timestamp reflects the actual delivery
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = { 'Content-Type': 'application/json', 'X-Event': event };
+    if (secret) {
+      headers[TIMESTAMP_HEADER] = timestamp;
+      headers[SIGNATURE_HEADER] = `sha256=${signPayload(body, timestamp, secret)}`;
+    }
+
+    try {
+      const response = await axios.post(callback.url, body, {
+        headers,
+        timeout: 10000,
+        maxRedirects: 0,
+        lookup: allowed ? undefined : publicLookup,
+        validateStatus: () => true
+      });
+      if (response.status >= 200 && response.status < 300) {
+        return { delivered: true, attempts: attempt, status: response.status };
+      }
+      lastError = `HTTP ${response.status}`;
+    } catch (e) {
+      lastError = e.message;
+    }
+
+    if (attempt < MAX_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, BASE_DELAY * 2 ** (attempt - 1)));
+    }
+  }
+
+  console.error(`Callback to ${callback.url} failed after ${MAX_ATTEMPTS} attempts: ${lastError}`);
+  return { delivered: false, attempts: MAX_ATTEMPTS, error: lastError };
+}
@@ -0,0 +1,113 @@
+/**
+ * Concurrency helpers
+ * Bounded parallel execution for dependency graphs and item lists, and a
+ * limiter for capping work shared by independent callers
+ */
+
+/**
+ * Run tasks 0..n-1 in dependency order, at most `limit` at a time
+ * deps[i] is a Set of task indices that must finish before task i starts.
+ * Ready tasks start lowest index first. After the first failure no new tasks
+ * are started; the error is rethrown once running tasks have settled.
+ */
+export function runDag(deps, limit, runTask) {
+  return new Promise((resolve, reject) => {
+    const remaining = deps.map(d => d.size);
+    const dependents = deps.map(() => []);
+    deps.forEach((d, i) => d.forEach(j => dependents[j].push(i)));
+
+    const ready = [];
+    remaining.forEach((count, i) => { if (count === 0) ready.push(i); });
+
+    let running = 0;
+    let finished = 0;
+    let failure = null;
+
+    const pump = () => {
+      if (failure) {
+        if (running === 0) reject(failure);
+        return;
+      }
+      if (finished === deps.length) {
+        resolve();
+        return;
+      }
+
+      ready.sort((a, b) => a - b);
+      while (running < limit && ready.length > 0) {
+        const i = ready.shift();
+        running++;
+        Promise.resolve()
+          .then(() => runTask(i))
+          .then(() => {
+            running--;
+            finished++;
+            for (const d of dependents[i]) {
+              if (--remaining[d] === 0) ready.push(d);
+            }
+            pump();
+          }, (e) => {
+            running--;
+            if (!failure) failure = e;
+            pump();
+          });
+      }
+    };
+
+    pump();
+  });
+}
+
+/**
+ * Map items through an async fn with at most `limit` calls in flight
+ * Results keep item order; a rejection rejects the whole map (callers that
+ * need per-item failures should catch inside fn).
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+
+  const workers = [];
+  for (let w = 0; w < Math.min(limit, items.length); w++) workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Limiter allowing at most `limit` calls of run() to be in flight
+ * Callers over the limit wait in FIFO order. Returns { run(fn), active, waiting }.
+ */
+export function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    queue.shift()();
+  };
+
+  return {
+    async run(fn) {
+      await new Promise(resolve => {
+        queue.push(resolve);
+        next();
+      });
+      try {
+        return await fn();
+      } finally {
+        active--;
+        next();
+      }
+    },
+    get active() { return active; },
+    get waiting() { return queue.length; }
+  };
+}
@@ -1,11 +1,185 @@
 /**
- * Safe expression engine for dimension calculations
- * Supports: variables (w, h, trimW, trimH), functions (max, min, floor, ceil), arithmetic
- * Compiles to ImageMagick fx: expressions or numeric values
+ * Safe expression engine for dimension calculations and step conditions
+ * A recursive-descent parser builds an AST that is evaluated directly; no
+ * JavaScript source is ever generated. Supports numbers, quoted strings,
+ * true/false, variables (params and namespaced measure results such as
+ * m.trimW), arithmetic (+ - * /), unary - and !, comparisons (== != < <= > >=),
+ * logic (&& ||), the ternary a ? b : c and a fixed set of functions.
+ * Expressions with unknown variables compile to ImageMagick fx: strings.
  */
 
-const ALLOWED_VARS = new Set(['w', 'h', 'trimW', 'trimH', 'padW', 'padH', 'targetW', 'targetH']);
-const ALLOWED_FUNCS = new Set(['max', 'min', 'floor', 'ceil', 'round', 'abs']);
+// name → [minArgs, maxArgs, implementation]
+const FUNCTIONS = {
+  max: [1, Infinity, Math.max],
+  min: [1, Infinity, Math.min],
+  floor: [1, 1, Math.floor],
+  ceil: [1, 1, Math.ceil],
+  round: [1, 1, Math.round],
+  abs: [1, 1, Math.abs],
+  sqrt: [1, 1, Math.sqrt],
+  pow: [2, 2, Math.pow],
+  clamp: [3, 3, (x, lo, hi) => Math.min(Math.max(x, lo), hi)]
+};
+
+const LITERALS = { true: 1, false: 0 };
+
+// Binary operators by precedence level, loosest first (|| and && are handled separately)
+const BINARY_LEVELS = [
+  ['==', '!='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/']
+];
+
+// Tokens: numbers, quoted strings (\ escapes the next character), identifiers
+// (optionally dotted) and operators
+const TOKEN = /\s*(?:(\d+(?:\.\d*)?|\.\d+)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([A-Za-z_]\w*(?:\.\w+)*)|(==|!=|<=|>=|&&|\|\||[+\-*/(),<>!?:]))/y;
+
+// ${name} or ${name.field} template references
+const TEMPLATE = /\$\{(\w+(?:\.\w+)*)\}/g;
+
+/**
+ * Look up a variable; dotted names walk into nested values (m.trimW → vars.m.trimW)
+ */
+export function lookupVar(vars, name) {
+  const own = (obj, key) => (obj !== null && typeof obj === 'object' && Object.hasOwn(obj, key) ? obj[key] : undefined);
+  if (own(vars, name) !== undefined) return own(vars, name);
+  return name.split('.').reduce(own, vars);
+}
+
+// Split an expression into { kind, value, pos } tokens, ending with an 'end' token
+function tokenize(expr) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  for (;;) {
+    const start = TOKEN.lastIndex;
+    const rest = expr.slice(start);
+    if (/^\s*$/.test(rest)) {
+      tokens.push({ kind: 'end', value: '', pos: expr.length });
+      return tokens;
+    }
+    const match = TOKEN.exec(expr);
+    if (!match) {
+      const pos = start + rest.length - rest.trimStart().length;
+      throw new SyntaxError(`Unexpected character "${expr[pos]}" at position ${pos}`);
+    }
+    const pos = TOKEN.lastIndex - match[0].trimStart().length;
+    if (match[1] !== undefined) tokens.push({ kind: 'number', value: Number(match[1]), pos });
+    else if (match[2] !== undefined) tokens.push({ kind: 'string', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1'), pos });
+    else if (match[3] !== undefined) tokens.push({ kind: 'name', value: match[3], pos });
+    else tokens.push({ kind: 'op', value: match[4], pos });
+  }
+}
+
+// Recursive-descent parser over the token list
+// Node types: number, string, var, call, unary, binary, logical, ternary
+function parse(expr) {
+  const tokens = tokenize(expr);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = (token) => {
+    if (token.kind === 'end') return 'end of expression';
+    if (token.kind === 'string') return 'string';
+    return `"${token.value}"`;
+  };
+  const fail = (token, expected) => {
+    const what = expected ? `Expected ${expected} but found ${describe(token)}` : `Unexpected ${describe(token)}`;
+    throw new SyntaxError(`${what} at position ${token.pos}`);
+  };
+  const isOp = (...ops) => peek().kind === 'op' && ops.includes(peek().value);
+  const expect = (op) => {
+    if (!isOp(op)) fail(peek(), `"${op}"`);
+    return tokens[index++];
+  };
+
+  const ternary = () => {
+    const test = logical('||', logicalAnd);
+    if (!isOp('?')) return test;
+    const { pos } = tokens[index++];
+    const then = ternary();
+    expect(':');
+    return { type: 'ternary', test, then, otherwise: ternary(), pos };
+  };
+
+  const logicalAnd = () => logical('&&', () => binary(0));
+
+  const logical = (op, next) => {
+    let left = next();
+    while (isOp(op)) {
+      const { pos } = tokens[index++];
+      left = { type: 'logical', op, left, right: next(), pos };
+    }
+    return left;
+  };
+
+  const binary = (level) => {
+    if (level === BINARY_LEVELS.length) return unary();
+    let left = binary(level + 1);
+    while (isOp(...BINARY_LEVELS[level])) {
+      const { value: op, pos } = tokens[index++];
+      left = { type: 'binary', op, left, right: binary(level + 1), pos };
+    }
+    return left;
+  };
+
+  const unary = () => {
+    if (isOp('-', '!')) {
+      const { value: op, pos } = tokens[index++];
+      return { type: 'unary', op, arg: unary(), pos };
+    }
+    return primary();
+  };
+
+  const primary = () => {
+    const token = peek();
+    if (token.kind === 'number' || token.kind === 'string') {
+      index++;
+      return { type: token.kind, value: token.value };
+    }
+    if (token.kind === 'name') {
+      index++;
+      if (isOp('(')) return call(token);
+      if (Object.hasOwn(LITERALS, token.value)) return { type: 'number', value: LITERALS[token.value] };
+      return { type: 'var', name: token.value, pos: token.pos };
+    }
+    if (isOp('(')) {
+      index++;
+      const inner = ternary();
+      expect(')');
+      return inner;
+    }
+    return fail(token, 'a value');
+  };
+
+  const call = (token) => {
+    const name = token.value;
+    if (!Object.hasOwn(FUNCTIONS, name)) {
+      throw new SyntaxError(`Unknown function "${name}" at position ${token.pos}`);
+    }
+    expect('(');
+    const args = [];
+    if (!isOp(')')) {
+      args.push(ternary());
+      while (isOp(',')) {
+        index++;
+        args.push(ternary());
+      }
+    }
+    expect(')');
+
+    const [min, max] = FUNCTIONS[name];
+    if (args.length < min || args.length > max) {
+      const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min}-${max}`;
+      throw new SyntaxError(`${name}() takes ${expected} argument${max === 1 ? '' : 's'}, got ${args.length} at position ${token.pos}`);
+    }
+    return { type: 'call', name, args, pos: token.pos };
+  };
+
+  const ast = ternary();
+  if (peek().kind !== 'end') fail(peek());
+  return ast;
+}
 
 /**
  * Parse and validate expression
@@ -15,40 +189,12 @@ export function parseExpression(expr) {
   if (typeof expr !== 'string') {
     return { valid: false, error: 'Expression must be a string' };
   }
-
-  // Simple tokenizer: numbers, vars, funcs, ops, parens
-  const tokens = expr.match(/(\d+\.?\d*|\w+|[+\-*/()])/g) || [];
-  
-  for (const token of tokens) {
-    // Number
-    if (/^\d+\.?\d*$/.test(token)) continue;
-    
-    // Operator
-    if (['+', '-', '*', '/', '(', ')'].includes(token)) continue;
-    
-    // Variable or function
-    const isFunc = tokens[tokens.indexOf(token) + 1] === '(';
-    if (isFunc) {
-      if (!ALLOWED_FUNCS.has(token)) {
-        return { valid: false, error: `Unknown function: ${token}` };
-      }
-    } else {
-      if (!ALLOWED_VARS.has(token)) {
-        return { valid: false, error: `Unknown variable: ${token}` };
-      }
-    }
-  }
-
-  // Basic paren balance check
-  let depth = 0;
-  for (const t of tokens) {
-    if (t === '(') depth++;
-    if (t === ')') depth--;
-    if (depth < 0) return { valid: false, error: 'Unbalanced parentheses' };
+  try {
+    return { valid: true, ast: parse(expr) };
+  } catch (e) {
+    if (e instanceof SyntaxError) return { valid: false, error: e.message };
+    throw e;
   }
-  if (depth !== 0) return { valid: false, error: 'Unbalanced parentheses' };
-
-  return { valid: true, ast: tokens };
 }
 
 /**
@@ -63,45 +209,151 @@ export function compileToFx(expr) {
   return expr.replace(/\s+/g, '');
 }
 
+// Collect variable names used anywhere in an AST
+function astVars(node, found = new Set()) {
+  switch (node.type) {
+    case 'var':
+      found.add(node.name);
+      break;
+    case 'call':
+      node.args.forEach(arg => astVars(arg, found));
+      break;
+    case 'unary':
+      astVars(node.arg, found);
+      break;
+    case 'binary':
+    case 'logical':
+      astVars(node.left, found);
+      astVars(node.right, found);
+      break;
+    case 'ternary':
+      astVars(node.test, found);
+      astVars(node.then, found);
+      astVars(node.otherwise, found);
+      break;
+  }
+  return found;
+}
+
+/**
+ * Variables referenced by an expression
+ */
+export function expressionVars(expr) {
+  const parsed = parseExpression(expr);
+  if (!parsed.valid) return new Set();
+  return astVars(parsed.ast);
+}
+
+// Normalize a variable's value: booleans become 0/1 and numeric strings become
+// numbers, so "m.hasAlpha == 0" and string params work in arithmetic
+function toValue(value, name) {
+  if (typeof value === 'boolean') return Number(value);
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+  if (typeof value === 'number' || typeof value === 'string') return value;
+  throw new Error(`Variable "${name}" is not a number or string`);
+}
+
+const truthy = (value) => value !== 0 && value !== '' && !Number.isNaN(value);
+
+const requireNumber = (value, what) => {
+  if (typeof value !== 'number') throw new Error(`${what} expects numbers, got "${value}"`);
+  return value;
+};
+
+// Evaluate an AST node; every variable must already be known
+function evaluate(node, vars) {
+  switch (node.type) {
+    case 'number':
+    case 'string':
+      return node.value;
+    case 'var':
+      return toValue(lookupVar(vars, node.name), node.name);
+    case 'call': {
+      const args = node.args.map(arg => requireNumber(evaluate(arg, vars), `${node.name}()`));
+      return FUNCTIONS[node.name][2](...args);
+    }
+    case 'unary': {
+      const value = evaluate(node.arg, vars);
+      return node.op === '!' ? Number(!truthy(value)) : -requireNumber(value, 'Unary "-"');
+    }
+    case 'logical': {
+      const left = truthy(evaluate(node.left, vars));
+      if (node.op === '&&' ? !left : left) return Number(left);
+      return Number(truthy(evaluate(node.right, vars)));
+    }
+    case 'ternary':
+      return evaluate(truthy(evaluate(node.test, vars)) ? node.then : node.otherwise, vars);
+    case 'binary': {
+      const left = evaluate(node.left, vars);
+      const right = evaluate(node.right, vars);
+      if (node.op === '==') return Number(left === right);
+      if (node.op === '!=') return Number(left !== right);
+      const what = `Operator "${node.op}"`;
+      const a = requireNumber(left, what);
+      const b = requireNumber(right, what);
+      switch (node.op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/':
+          if (b === 0) throw new Error(`Division by zero at position ${node.pos}`);
+          return a / b;
+        case '<': return Number(a < b);
+        case '<=': return Number(a <= b);
+        case '>': return Number(a > b);
+        case '>=': return Number(a >= b);
+      }
+    }
+  }
+  throw new Error(`Unsupported expression node: ${node.type}`);
+}
+
+// Variables of a parsed expression that vars does not define
+function unknownVars(ast, vars) {
+  return [...astVars(ast)].filter(name => lookupVar(vars, name) === undefined);
+}
+
 /**
  * Evaluate expression with known values (for simple cases)
  * Returns numeric result if all variables are known, otherwise returns fx: string
+ * Results are rounded to integers unless round is false.
  */
-export function evaluateExpression(expr, vars = {}) {
+export function evaluateExpression(expr, vars = {}, { round = true } = {}) {
   const parsed = parseExpression(expr);
   if (!parsed.valid) throw new Error(parsed.error);
 
-  // Check if all vars are present
-  const exprVars = new Set();
-  for (const token of parsed.ast) {
-    if (ALLOWED_VARS.has(token)) exprVars.add(token);
+  if (unknownVars(parsed.ast, vars).length > 0) {
+    // Cannot evaluate; return fx expression
+    return { type: 'fx', value: compileToFx(expr) };
   }
 
-  for (const v of exprVars) {
-    if (vars[v] === undefined) {
-      // Cannot evaluate; return fx expression
-      return { type: 'fx', value: compileToFx(expr) };
-    }
+  let result;
+  try {
+    result = evaluate(parsed.ast, vars);
+  } catch (e) {
+    throw new Error(`Expression evaluation failed: ${e.message}`);
+  }
+  if (typeof result !== 'number' || !Number.isFinite(result)) {
+    throw new Error('Expression evaluation failed: expression did not evaluate to a number');
   }
+  return { type: 'number', value: round ? Math.round(result) : result };
+}
+
+/**
+ * Evaluate a condition (e.g. a step's "when") to true or false
+ * Returns { type: 'boolean', value } or { type: 'unresolved', vars: [unknown names] }
+ */
+export function evaluateCondition(expr, vars = {}) {
+  const parsed = parseExpression(expr);
+  if (!parsed.valid) throw new Error(parsed.error);
+
+  const unknown = unknownVars(parsed.ast, vars);
+  if (unknown.length > 0) return { type: 'unresolved', vars: unknown };
 
-  // All vars known; attempt eval
   try {
-    const code = expr.replace(/(\w+)/g, (m) => {
-      if (ALLOWED_VARS.has(m)) return `vars.${m}`;
-      if (ALLOWED_FUNCS.has(m)) return `Math.${m}`;
-      return m;
-    });
-    
-    // eslint-disable-next-line no-new-func
-    const result = Function('vars', 'Math', `return ${code}`)(vars, Math);
-    
-    if (typeof result === 'number' && !isNaN(result)) {
-      return { type: 'number', value: Math.round(result) };
-    }
-    
-    throw new Error('Expression did not evaluate to a number');
+    return { type: 'boolean', value: truthy(evaluate(parsed.ast, vars)) };
   } catch (e) {
-    throw new Error(`Expression evaluation failed: ${e.message}`);
+    throw new Error(`Condition evaluation failed: ${e.message}`);
   }
 }
 
@@ -112,9 +364,41 @@ export function evaluateExpression(expr, vars = {}) {
 export function substituteVars(template, vars) {
   if (typeof template !== 'string') return template;
   
-  return template.replace(/\$\{(\w+)\}/g, (match, varName) => {
-    if (vars[varName] !== undefined) return String(vars[varName]);
+  return template.replace(TEMPLATE, (match, varName) => {
+    const value = lookupVar(vars, varName);
+    if (value !== undefined) return String(value);
     return match; // Leave unresolved
   });
 }
 
+/**
+ * Resolve templates in a value, recursing into arrays and objects
+ * A string that is exactly one "${name}" takes the variable's value as-is
+ * (so numbers stay numbers); other strings are substituted as text.
+ */
+export function substituteDeep(value, vars) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\$\{(\w+(?:\.\w+)*)\}$/);
+    if (whole && lookupVar(vars, whole[1]) !== undefined) return lookupVar(vars, whole[1]);
+    return substituteVars(value, vars);
+  }
+  if (Array.isArray(value)) return value.map(v => substituteDeep(v, vars));
+  if (value && typeof value === 'object') {
+    const resolved = {};
+    for (const [key, v] of Object.entries(value)) resolved[key] = substituteDeep(v, vars);
+    return resolved;
+  }
+  return value;
+}
+
+/**
+ * Collect ${var} names referenced anywhere in a string, array or object
+ */
+export function templateVars(value, found = new Set()) {
+  if (typeof value === 'string') {
+    for (const [, name] of value.matchAll(TEMPLATE)) found.add(name);
+  } else if (value && typeof value === 'object') {
+    for (const v of Object.values(value)) templateVars(v, found);
+  }
+  return found;
+}
@@ -6,9 +6,11 @@
 import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
-import { GetObjectCommand, PutObjectCommand, S3Client } from '@aws-sdk/client-s3';
+import { GetObjectCommand, HeadObjectCommand, PutObjectCommand, S3Client } from '@aws-sdk/client-s3';
 import { execFile } from 'child_process';
 import { promisify } from 'util';
+import { isUploadedFile } from './uploads.js';
+import { hashValue } from './cache.js';
 
 const execFileAsync = promisify(execFile);
 
@@ -17,6 +19,11 @@ const execFileAsync = promisify(execFile);
  * Returns: { path: string, cleanup: () => void }
  */
 export async function importImage(spec, tmpDir) {
+  // { type: 'url', url } is a URL carrying import options
+  if (typeof spec === 'object' && spec.type === 'url' && spec.url) {
+    return importImage(spec.url, tmpDir);
+  }
+
   const ts = Date.now();
   const rand = Math.random().toString(36).substring(7);
   
@@ -82,6 +89,15 @@ export async function importImage(spec, tmpDir) {
     };
   }
 
+  // Multipart upload already streamed to disk by the request handler; it owns cleanup
+  if (typeof spec === 'object' && spec.type === 'multipart' && spec.path) {
+    if (!isUploadedFile(spec.path)) throw new Error('multipart input does not reference an uploaded file');
+    return {
+      path: spec.path,
+      cleanup: () => {}
+    };
+  }
+
   // Multipart (handled at request level, passed as Buffer)
   if (spec instanceof Buffer) {
     const destPath = path.join(tmpDir, `import-${ts}-${rand}`);
@@ -95,6 +111,96 @@ export async function importImage(spec, tmpDir) {
   throw new Error('Unsupported import spec');
 }
 
+/**
+ * Describe an input spec without fetching it (credentials and URL queries omitted)
+ */
+export function describeInput(spec) {
+  if (spec && typeof spec === 'object' && !(spec instanceof Buffer) && (spec.raw || spec.autoOrient)) {
+    const { raw, autoOrient, ...rest } = spec;
+    return { ...describeInput(rest), raw, autoOrient };
+  }
+  if (spec && spec.type === 'url' && spec.url) return describeInput(spec.url);
+  if (typeof spec === 'string' && (spec.startsWith('http://') || spec.startsWith('https://'))) {
+    try {
+      const u = new URL(spec);
+      return { type: 'url', url: `${u.origin}${u.pathname}` };
+    } catch {
+      return { type: 'url' };
+    }
+  }
+  if (typeof spec === 'string') return { type: spec };
+  if (spec instanceof Buffer) return { type: 'multipart', size: spec.length };
+  if (spec.type === 's3') return { type: 's3', bucket: spec.bucket, key: spec.key, region: spec.region || 'us-east-1' };
+  if (spec.type === 'base64') return { type: 'base64', size: Buffer.byteLength(spec.data || '', 'base64') };
+  if (spec.type === 'multipart') return { type: 'multipart', field: spec.field, filename: spec.filename, size: spec.size };
+  return { type: spec.type };
+}
+
+/**
+ * Cheap content fingerprint for an input spec, used as part of result cache keys
+ * Uses HTTP ETag/Last-Modified or S3 ETag without downloading the body.
+ * Returns null when the content has to be hashed after import instead.
+ */
+export async function fingerprintInput(spec) {
+  if (spec && spec.type === 'url' && spec.url) return fingerprintInput(spec.url);
+
+  try {
+    if (typeof spec === 'string' && (spec.startsWith('http://') || spec.startsWith('https://'))) {
+      const response = await axios.head(spec, { timeout: 10000 });
+      const { etag, 'last-modified': lastModified, 'content-length': length } = response.headers;
+      // Validators are only meaningful per resource, so scope them to origin + path (not query)
+      const u = new URL(spec);
+      if (etag) return `http:${u.origin}${u.pathname}:etag:${etag}:${length || ''}`;
+      if (lastModified) return `http:${u.origin}${u.pathname}:lm:${lastModified}:${length || ''}`;
+      return null;
+    }
+
+    if (typeof spec === 'object' && spec.type === 's3') {
+      const { bucket, region, key, accessKeyId, secretAccessKey } = spec;
+      const s3 = new S3Client({
+        region: region || 'us-east-1',
+        credentials: accessKeyId && secretAccessKey ? {
+          accessKeyId,
+          secretAccessKey
+        } : undefined
+      });
+      const head = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return head.ETag ? `s3:${bucket}/${key}:${head.ETag}` : null;
+    }
+
+    if (typeof spec === 'object' && spec.type === 'base64') {
+      return `sha256:${hashValue(spec.data)}`;
+    }
+  } catch {}
+
+  return null;
+}
+
+/**
+ * Apply the import options (raw, autoOrient) a profile declares on its inputs
+ * to request inputs that set none of their own; URLs become { type: 'url', url }
+ */
+export function withInputOptions(declared, inputs) {
+  if (!declared || !inputs) return inputs;
+
+  return Object.fromEntries(Object.entries(inputs).map(([name, spec]) => {
+    const declaration = declared[name];
+    if (!declaration || typeof declaration !== 'object') return [name, spec];
+    const options = {
+      ...(declaration.raw ? { raw: declaration.raw } : {}),
+      ...(declaration.autoOrient !== undefined ? { autoOrient: declaration.autoOrient } : {})
+    };
+    if (Object.keys(options).length === 0) return [name, spec];
+    if (typeof spec === 'string' && (spec.startsWith('http://') || spec.startsWith('https://'))) {
+      return [name, { type: 'url', url: spec, ...options }];
+    }
+    if (spec && typeof spec === 'object' && !(spec instanceof Buffer) && !spec.raw && spec.autoOrient === undefined) {
+      return [name, { ...spec, ...options }];
+    }
+    return [name, spec];
+  }));
+}
+
 /**
  * Export image to response or S3
  * Returns: { buffer?: Buffer, s3?: {bucket, key}, contentType: string }
@@ -200,3 +306,16 @@ export async function detectMimeType(filePath) {
   }
 }
 
+
+/**
+ * Public description of export results (buffers omitted)
+ */
+export function describeOutputs(outputs) {
+  return outputs.map(o => ({
+    src: o.src,
+    name: o.name,
+    s3: o.s3,
+    contentType: o.contentType,
+    size: o.size
+  }));
+}
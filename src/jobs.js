@@ -0,0 +1,191 @@
+/**
+ * Async job queue
+ * Runs pipelines in a bounded in-process worker pool and tracks their progress
+ */
+
+import crypto from 'crypto';
+import { executePipeline } from './pipeline.js';
+import { describeOutputs } from './io.js';
+import { deliverCallback } from './callbacks.js';
+
+const MAX_CONCURRENT_JOBS = Number(process.env.JOB_CONCURRENCY) || 2;
+const JOB_TTL = Number(process.env.JOB_TTL_MS) || 60 * 60 * 1000; // 1 hour
+
+const jobs = new Map(); // id → job
+const queue = []; // ids waiting for a worker
+let running = 0;
+
+/**
+ * Enqueue a pipeline for background execution
+ * Options:
+ *  - meta: copied onto the job (e.g. { profile }) and reported back in status
+ *  - callback: { url, secret } webhook notified when the job finishes
+ *  - cleanup: called once the job has finished (e.g. to remove uploaded files)
+ *  - pipelineOptions: passed through to executePipeline (e.g. { cache: false })
+ */
+export function enqueueJob(pipeline, params, tmpDir, { meta = {}, callback = null, cleanup = null, pipelineOptions = {} } = {}) {
+  pruneJobs();
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    meta,
+    pipeline,
+    params,
+    tmpDir,
+    totalSteps: Object.keys(pipeline.inputs || {}).length + (pipeline.steps || []).length,
+    realizedSteps: [],
+    outputs: [],
+    stats: null,
+    error: null,
+    callback,
+    callbackStatus: null,
+    cleanup,
+    pipelineOptions,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job.id);
+  drainQueue();
+
+  return job;
+}
+
+/**
+ * Look up a job by id
+ */
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Public job representation for GET /v1/jobs/:id
+ */
+export function describeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    ...job.meta,
+    progress: {
+      completed: completedSteps(job),
+      total: job.totalSteps,
+      steps: job.realizedSteps.map(s => ({
+        op: s.op,
+        name: s.name,
+        src: s.src,
+        out: s.out,
+        skipped: s.skipped,
+        branch: s.branch,
+        items: s.items,
+        profile: s.profile,
+        version: s.version,
+        duration: s.duration
+      }))
+    },
+    outputs: describeOutputs(job.outputs),
+    stats: job.stats,
+    error: job.error,
+    callback: job.callbackStatus || undefined,
+    queuePosition: job.status === 'queued' ? queue.indexOf(job.id) + 1 : undefined,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+  };
+}
+
+/**
+ * Progress against totalSteps: imported inputs plus finished top-level steps
+ * Nested switch, forEach and include steps are listed in progress.steps but not
+ * counted, and a succeeded job is complete even if a result cache hit skipped
+ * its steps.
+ */
+function completedSteps(job) {
+  if (job.status === 'succeeded') return job.totalSteps;
+  return job.realizedSteps.filter(step => step.op === 'import' || Number.isInteger(step.step)).length;
+}
+
+/**
+ * Start queued jobs while workers are free
+ */
+function drainQueue() {
+  while (running < MAX_CONCURRENT_JOBS && queue.length > 0) {
+    const job = jobs.get(queue.shift());
+    if (!job) continue;
+    running++;
+    runJob(job).finally(() => {
+      running--;
+      drainQueue();
+    });
+  }
+}
+
+/**
+ * Execute a single job, recording progress as steps complete
+ */
+async function runJob(job) {
+  job.status = 'running';
+  job.startedAt = Date.now();
+
+  try {
+    const result = await executePipeline(job.pipeline, job.params, job.tmpDir, {
+      ...job.pipelineOptions,
+      onStep: (step) => job.realizedSteps.push(step)
+    });
+    job.outputs = result.outputs;
+    job.stats = result.stats;
+    job.status = 'succeeded';
+  } catch (e) {
+    job.error = { message: e.message, stderr: e.stderr };
+    job.status = 'failed';
+  } finally {
+    job.finishedAt = Date.now();
+    // Pipeline definition is no longer needed once the job has finished
+    job.pipeline = null;
+    job.params = null;
+    if (job.cleanup) job.cleanup();
+  }
+
+  // Delivery retries run outside the worker slot so they don't hold up the queue
+  if (job.callback) {
+    notifyCallback(job);
+  }
+}
+
+/**
+ * POST the job result to its callback URL
+ * Payload matches the synchronous metadata response, plus jobId
+ */
+async function notifyCallback(job) {
+  const base = { jobId: job.id, ...job.meta };
+  const [event, payload] = job.status === 'succeeded'
+    ? ['pipeline.completed', {
+        ...base,
+        outputs: describeOutputs(job.outputs),
+        stats: job.stats,
+        processingTime: job.finishedAt - job.startedAt
+      }]
+    : ['pipeline.failed', { ...base, error: job.error.message, stderr: job.error.stderr }];
+
+  job.callbackStatus = { status: 'pending' };
+  const delivery = await deliverCallback(job.callback, event, payload);
+  job.callbackStatus = {
+    status: delivery.delivered ? 'delivered' : 'failed',
+    attempts: delivery.attempts,
+    error: delivery.error
+  };
+}
+
+/**
+ * Drop finished jobs (and their buffered outputs) older than JOB_TTL
+ */
+function pruneJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs.entries()) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL) {
+      jobs.delete(id);
+    }
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * EXIF/IPTC/XMP metadata via exiv2
+ * Builds exiv2 argument arrays (no shell), runs them on files, and parses what they print
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// exiv2 exits with this when a file has no metadata to print
+const NO_METADATA_EXIT = 253;
+
+// Writable fields → the exiv2 keys (and value types) each is written to
+export const METADATA_FIELDS = {
+  title: [['Xmp.dc.title', 'LangAlt'], ['Iptc.Application2.ObjectName', 'String']],
+  description: [['Exif.Image.ImageDescription', 'Ascii'], ['Xmp.dc.description', 'LangAlt'], ['Iptc.Application2.Caption', 'String']],
+  creator: [['Exif.Image.Artist', 'Ascii'], ['Xmp.dc.creator', 'XmpSeq'], ['Iptc.Application2.Byline', 'String']],
+  copyright: [['Exif.Image.Copyright', 'Ascii'], ['Xmp.dc.rights', 'LangAlt'], ['Iptc.Application2.Copyright', 'String']],
+  credit: [['Xmp.photoshop.Credit', 'XmpText'], ['Iptc.Application2.Credit', 'String']],
+  source: [['Xmp.photoshop.Source', 'XmpText'], ['Iptc.Application2.Source', 'String']],
+  sku: [['Xmp.dc.identifier', 'XmpText']]
+};
+
+// Raw exiv2 keys may also be written, as text
+export const METADATA_KEY_PATTERN = '^(Exif|Iptc|Xmp)\\.\\w+\\.\\w+$';
+const RAW_KEY_TYPES = { Exif: 'Ascii', Iptc: 'String', Xmp: 'XmpText' };
+
+// What a strip can keep: the writable fields, orientation, and the ICC profile
+const KEEP_KEYS = { ...METADATA_FIELDS, orientation: [['Exif.Image.Orientation', 'Short']] };
+export const METADATA_KEEP = ['icc', ...Object.keys(KEEP_KEYS)];
+
+// exiv2 keys read by a metadata read step
+const READ_KEYS = {
+  make: 'Exif.Image.Make',
+  model: 'Exif.Image.Model',
+  lens: 'Exif.Photo.LensModel',
+  captureDate: 'Exif.Photo.DateTimeOriginal',
+  orientation: 'Exif.Image.Orientation',
+  iso: 'Exif.Photo.ISOSpeedRatings',
+  exposureTime: 'Exif.Photo.ExposureTime',
+  fNumber: 'Exif.Photo.FNumber',
+  focalLength: 'Exif.Photo.FocalLength',
+  creator: 'Exif.Image.Artist',
+  copyright: 'Exif.Image.Copyright',
+  title: 'Xmp.dc.title',
+  credit: 'Iptc.Application2.Credit',
+  sku: 'Xmp.dc.identifier'
+};
+
+// Results a metadata read step stores under vars[out]
+export const METADATA_READ_FIELDS = [
+  'make', 'model', 'camera', 'lens', 'captureDate', 'captureYear', 'captureMonth', 'captureDay',
+  'orientation', 'iso', 'exposureTime', 'fNumber', 'focalLength', 'creator', 'copyright', 'title', 'credit', 'sku'
+];
+
+/**
+ * exiv2 argv printing the given keys' raw values ("<key>  <value>" per line)
+ */
+function printArgs(filePath, keys) {
+  return ['-q', '-PEIXkv', ...keys.flatMap(key => ['-K', key]), filePath];
+}
+
+/**
+ * exiv2 argv deleting EXIF, IPTC, XMP and comments, plus the ICC profile unless kept
+ */
+function deleteArgs(filePath, keep) {
+  return ['-q', '-d', keep.includes('icc') ? 'eixc' : 'eixcC', 'rm', filePath];
+}
+
+/**
+ * exiv2 argv setting [key, type, value] entries
+ * Types are always given, so a value starting with a type name is not misread.
+ */
+function modifyArgs(filePath, entries) {
+  const commands = entries.map(([key, type, value]) => `set ${key} ${type} ${String(value).replace(/[\r\n]+/g, ' ')}`);
+  return ['-q', ...commands.flatMap(command => ['-M', command]), 'mo', filePath];
+}
+
+/**
+ * [key, type, value] entries for a write step's fields
+ */
+function fieldEntries(fields) {
+  return Object.entries(fields).flatMap(([field, value]) => {
+    if (METADATA_FIELDS[field]) return METADATA_FIELDS[field].map(([key, type]) => [key, type, value]);
+    return [[field, RAW_KEY_TYPES[field.split('.')[0]], value]];
+  });
+}
+
+/**
+ * Parse printArgs output into { key: value } (first value per key)
+ */
+function parsePrinted(stdout) {
+  const values = {};
+  for (const line of stdout.split('\n')) {
+    const match = line.match(/^(\S+)\s+(.*)$/);
+    if (match && !(match[1] in values)) values[match[1]] = match[2].trim();
+  }
+  return values;
+}
+
+// "28/10" → 2.8; plain numbers pass through; anything else is 0
+function rational(value) {
+  const [num, den] = String(value || '').split('/').map(Number);
+  if (den === undefined) return Number.isFinite(num) ? num : 0;
+  return den ? Math.round((num / den) * 100) / 100 : 0;
+}
+
+// Drop the lang="x-default" prefix exiv2 prints for language alternatives
+function langAlt(value) {
+  return (value || '').replace(/^lang="[^"]*"\s*/, '');
+}
+
+/**
+ * Read results from raw printed values
+ * Missing text fields are "", missing numbers 0; orientation defaults to 1 (upright).
+ */
+function readResults(values) {
+  const raw = Object.fromEntries(Object.entries(READ_KEYS).map(([field, key]) => [field, values[key] || '']));
+  const date = raw.captureDate.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}:\d{2}:\d{2})/);
+  const make = raw.make;
+  const model = raw.model;
+
+  return {
+    make,
+    model,
+    // Models usually repeat the make ("Canon EOS R5"); say it once
+    camera: model.toLowerCase().startsWith(make.toLowerCase()) ? model : [make, model].filter(Boolean).join(' '),
+    lens: raw.lens,
+    captureDate: date ? `${date[1]}-${date[2]}-${date[3]}T${date[4]}` : '',
+    captureYear: date ? date[1] : '',
+    captureMonth: date ? date[2] : '',
+    captureDay: date ? date[3] : '',
+    orientation: Number(raw.orientation) || 1,
+    iso: Number(raw.iso.split(' ')[0]) || 0,
+    exposureTime: raw.exposureTime,
+    fNumber: rational(raw.fNumber),
+    focalLength: rational(raw.focalLength),
+    creator: raw.creator,
+    copyright: raw.copyright,
+    title: langAlt(raw.title),
+    credit: raw.credit,
+    sku: raw.sku
+  };
+}
+
+/**
+ * Run exiv2 and return its stdout; files without metadata print nothing
+ */
+async function exiv2(args) {
+  try {
+    const { stdout } = await execFileAsync('exiv2', args, { timeout: 20000, maxBuffer: 10 * 1024 * 1024 });
+    return stdout;
+  } catch (e) {
+    if (e.code === NO_METADATA_EXIT) return e.stdout || '';
+    throw e;
+  }
+}
+
+/**
+ * exiv2 argvs a metadata step or export option runs on filePath, for dry runs
+ * A strip that keeps fields also prints them first and writes them back afterwards.
+ */
+export function metadataCommands(step, filePath) {
+  if (step.mode === 'read') return [printArgs(filePath, Object.values(READ_KEYS))];
+  if (step.mode === 'write') return [modifyArgs(filePath, fieldEntries(step.fields))];
+
+  const keep = step.keep || [];
+  const keptKeys = keep.flatMap(name => (KEEP_KEYS[name] || []).map(([key]) => key));
+  return [
+    ...(keptKeys.length > 0 ? [printArgs(filePath, keptKeys)] : []),
+    deleteArgs(filePath, keep)
+  ];
+}
+
+/**
+ * Read the metadata of a file; returns values for METADATA_READ_FIELDS
+ */
+export async function readMetadata(filePath) {
+  return readResults(parsePrinted(await exiv2(printArgs(filePath, Object.values(READ_KEYS)))));
+}
+
+/**
+ * Write fields (friendly names or raw exiv2 keys) into a file, in place
+ */
+export async function writeMetadata(filePath, fields) {
+  await exiv2(modifyArgs(filePath, fieldEntries(fields)));
+}
+
+/**
+ * Strip metadata from a file in place, keeping the named METADATA_KEEP entries
+ */
+export async function stripMetadata(filePath, keep = []) {
+  const kept = keep.flatMap(name => KEEP_KEYS[name] || []);
+  const values = kept.length > 0 ? parsePrinted(await exiv2(printArgs(filePath, kept.map(([key]) => key)))) : {};
+
+  await exiv2(deleteArgs(filePath, keep));
+
+  const restore = kept.filter(([key]) => values[key] !== undefined).map(([key, type]) => [key, type, values[key]]);
+  if (restore.length > 0) await exiv2(modifyArgs(filePath, restore));
+}
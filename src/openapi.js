@@ -0,0 +1,571 @@
+/**
+ * OpenAPI 3.1 document for the HTTP API
+ * Embeds the pipeline JSON Schema and validates request (and optionally response) bodies against it
+ */
+
+import fs from 'fs';
+import { PIPELINE_JSON_SCHEMA, createAjv, schemaIssues } from './schema.js';
+
+const { version } = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+
+const OPENAPI_ID = 'urn:imagemagick-pipeline-api:openapi';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Component name for an entry of the pipeline schema's $defs (e.g. resizeStep → ResizeStep)
+const componentName = (def) => def[0].toUpperCase() + def.slice(1);
+
+// Point the pipeline schema's #/$defs refs at the matching components
+function toComponents(schema) {
+  if (Array.isArray(schema)) return schema.map(toComponents);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => (
+    key === '$ref' && value.startsWith('#/$defs/')
+      ? [key, `#/components/schemas/${componentName(value.slice('#/$defs/'.length))}`]
+      : [key, toComponents(value)]
+  )));
+}
+
+const { $schema, $id, $defs, ...pipelineSchema } = PIPELINE_JSON_SCHEMA;
+
+const PIPELINE_COMPONENTS = {
+  Pipeline: toComponents(pipelineSchema),
+  ...Object.fromEntries(Object.entries($defs).map(([def, schema]) => [componentName(def), toComponents(schema)]))
+};
+
+const HTTP_URL = { type: 'string', pattern: '^https?://', description: 'an http(s) URL' };
+
+const OBJECT_SOURCE = {
+  type: 'object',
+  required: ['bucket', 'key'],
+  properties: { bucket: { type: 'string' }, key: { type: 'string' }, region: { type: 'string' } }
+};
+
+const COMPONENTS = {
+  ...PIPELINE_COMPONENTS,
+
+  // Request bodies; unknown top-level fields are ignored, as they were before
+  // bodies were validated (/mask and /process serve existing n8n workflows)
+  ParamValues: {
+    type: 'object',
+    description: 'Values for ${var} templates; checked against a profile\'s params contract'
+  },
+  Callback: {
+    type: 'object',
+    description: 'Webhook notified when the run finishes',
+    required: ['url'],
+    properties: { url: HTTP_URL, secret: { type: 'string' } },
+    additionalProperties: false
+  },
+  PipelineRequest: {
+    type: 'object',
+    required: ['pipeline'],
+    properties: { pipeline: ref('Pipeline'), params: ref('ParamValues'), callback: ref('Callback') }
+  },
+  RunRequest: {
+    type: 'object',
+    properties: {
+      inputs: { type: 'object', additionalProperties: ref('Input') },
+      params: ref('ParamValues'),
+      callback: ref('Callback')
+    }
+  },
+  BatchRequest: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['inputs'],
+          properties: {
+            inputs: { type: 'object', additionalProperties: ref('Input') },
+            params: ref('ParamValues')
+          },
+          additionalProperties: false
+        }
+      },
+      concurrency: { type: 'integer', minimum: 1 }
+    }
+  },
+  ReloadRequest: {
+    type: 'object',
+    properties: {
+      source: {
+        description: 'a profile source URL (s3://, github://, https://, file://) or an S3 object',
+        anyOf: [{ type: 'string', minLength: 1 }, OBJECT_SOURCE]
+      }
+    }
+  },
+  MaskRequest: {
+    type: 'object',
+    required: ['originalUrl', 'alphaUrl'],
+    properties: { originalUrl: HTTP_URL, alphaUrl: HTTP_URL }
+  },
+  ProcessRequest: {
+    type: 'object',
+    required: ['url', 'command'],
+    properties: {
+      url: HTTP_URL,
+      command: { type: 'string', minLength: 1, description: 'magick arguments placed between the input and output paths' }
+    }
+  },
+
+  // Responses
+  Issue: {
+    type: 'object',
+    required: ['pointer', 'message'],
+    properties: {
+      pointer: { type: 'string', description: 'JSON pointer of the offending field' },
+      message: { type: 'string' }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      details: { type: 'array', items: { type: 'string' } },
+      issues: { type: 'array', items: ref('Issue') },
+      stderr: { type: 'string' },
+      stack: { type: 'string' }
+    }
+  },
+  Output: {
+    type: 'object',
+    properties: {
+      src: { type: 'string' },
+      name: { type: 'string' },
+      s3: { type: 'object', properties: { bucket: { type: 'string' }, key: { type: 'string' }, region: { type: 'string' } } },
+      contentType: { type: 'string' },
+      size: { type: 'integer' },
+      data: { type: 'string', contentEncoding: 'base64', description: 'Buffered exports only' }
+    }
+  },
+  Stats: {
+    type: 'object',
+    properties: {
+      totalDuration: { type: 'number' },
+      stepsExecuted: { type: 'integer' },
+      imagesProcessed: { type: 'integer' },
+      concurrency: { type: 'integer' },
+      cache: { enum: ['hit', 'miss'] }
+    }
+  },
+  PipelineResult: {
+    type: 'object',
+    required: ['outputs', 'stats'],
+    properties: {
+      profile: { type: 'string' },
+      profileVersion: { type: ['string', 'number', 'null'] },
+      outputs: { type: 'array', items: ref('Output') },
+      stats: ref('Stats'),
+      processingTime: { type: 'number' }
+    }
+  },
+  PipelineResponse: {
+    description: 'The run\'s outputs, or the plan of a dry run',
+    anyOf: [ref('PipelineResult'), ref('Plan')]
+  },
+  Plan: {
+    type: 'object',
+    description: 'Dry run: the planned magick commands, exports and step graph',
+    required: ['dryRun', 'valid'],
+    properties: {
+      dryRun: { const: true },
+      valid: { type: 'boolean' },
+      profile: { type: 'string' },
+      profileVersion: { type: ['string', 'number', 'null'] },
+      inputs: { type: 'object' },
+      steps: { type: 'array', items: { type: 'object' } },
+      exports: { type: 'array', items: { type: 'object' } },
+      graph: { type: 'object' },
+      unresolvedVars: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  JobAccepted: {
+    type: 'object',
+    required: ['jobId', 'status', 'statusUrl'],
+    properties: {
+      jobId: { type: 'string' },
+      status: { enum: ['queued', 'running', 'succeeded', 'failed'] },
+      statusUrl: { type: 'string' }
+    }
+  },
+  Job: {
+    type: 'object',
+    required: ['id', 'status', 'progress'],
+    properties: {
+      id: { type: 'string' },
+      status: { enum: ['queued', 'running', 'succeeded', 'failed'] },
+      profile: { type: 'string' },
+      profileVersion: { type: ['string', 'number', 'null'] },
+      progress: {
+        type: 'object',
+        properties: {
+          completed: { type: 'integer' },
+          total: { type: 'integer' },
+          steps: { type: 'array', items: { type: 'object' } }
+        }
+      },
+      outputs: { type: 'array', items: ref('Output') },
+      stats: ref('Stats'),
+      error: { type: 'object', properties: { message: { type: 'string' }, stderr: { type: 'string' } } },
+      callback: { type: 'object' },
+      queuePosition: { type: 'integer' },
+      createdAt: { type: 'string', description: 'ISO 8601 timestamp' },
+      startedAt: { type: ['string', 'null'] },
+      finishedAt: { type: ['string', 'null'] }
+    }
+  },
+  BatchItemResult: {
+    type: 'object',
+    required: ['index', 'ok'],
+    properties: {
+      index: { type: 'integer' },
+      ok: { type: 'boolean' },
+      outputs: { type: 'array', items: ref('Output') },
+      stats: ref('Stats'),
+      processingTime: { type: 'number' },
+      error: { type: 'string' },
+      stderr: { type: 'string' }
+    }
+  },
+  BatchResult: {
+    type: 'object',
+    required: ['total', 'succeeded', 'failed', 'results'],
+    properties: {
+      profile: { type: 'string' },
+      profileVersion: { type: ['string', 'number', 'null'] },
+      total: { type: 'integer' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      processingTime: { type: 'number' },
+      results: { type: 'array', items: ref('BatchItemResult') }
+    }
+  },
+  Spec: {
+    type: 'object',
+    required: ['version', 'operations', 'jsonSchema'],
+    properties: {
+      version: { type: 'integer' },
+      operations: { type: 'object' },
+      inputTypes: { type: 'object' },
+      paramTypes: { type: 'object' },
+      iccProfiles: { type: 'array', items: { type: 'string' } },
+      jsonSchema: { type: 'object' },
+      examples: { type: 'object' },
+      profiles: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  ReloadResult: {
+    type: 'object',
+    required: ['ok'],
+    properties: {
+      ok: { const: true },
+      cleared: { type: 'integer' },
+      registered: { type: 'array', items: { type: 'string' } },
+      errors: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  ProfileList: {
+    type: 'object',
+    required: ['profiles'],
+    properties: {
+      profiles: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            version: { type: ['string', 'number', 'null'] },
+            source: { type: 'string' },
+            registered: { type: 'boolean' },
+            latest: { type: 'boolean' },
+            cachedAt: { type: ['string', 'null'] },
+            age: { type: ['number', 'null'] }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Shared parameters and responses
+const query = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', description, schema });
+const flag = (name, description) => query(name, description, { enum: ['true', 'false', '1', '0'] });
+const json = (name, description) => ({ description, content: { 'application/json': { schema: ref(name) } } });
+const body = (name) => ({ required: true, content: { 'application/json': { schema: ref(name) } } });
+
+const PROFILE_QUERY = [
+  { ...query('profile', 'Profile name, optionally with @version (latest by default)'), required: true },
+  query('source', 'Load the profile from this source instead of the registry (s3://, github://, https://)')
+];
+const RUN_QUERY = [
+  flag('async', 'Enqueue as a job and answer 202 with its status URL'),
+  flag('cache', '"false" bypasses the result cache'),
+  flag('dryRun', 'Answer with the execution plan instead of running')
+];
+const ERRORS = {
+  400: json('Error', 'Invalid request, pipeline or params'),
+  401: json('Error', 'Missing or wrong X-API-Key'),
+  500: json('Error', 'Processing failed')
+};
+const PIPELINE_RESPONSES = {
+  200: {
+    description: 'Outputs, negotiated by Accept: a single buffered export is sent raw; several as multipart/mixed',
+    content: {
+      'application/json': { schema: ref('PipelineResponse') },
+      'application/zip': { schema: { type: 'string', contentMediaType: 'application/zip' } },
+      'multipart/mixed': { schema: { type: 'string' } },
+      'image/*': { schema: { type: 'string', contentMediaType: 'image/*' } }
+    }
+  },
+  202: json('JobAccepted', 'Enqueued (?async=true); poll the Location header'),
+  ...ERRORS
+};
+const IMAGE_RESPONSE = {
+  200: { description: 'The processed image', content: { 'image/*': { schema: { type: 'string', contentMediaType: 'image/*' } } } },
+  ...ERRORS
+};
+const secured = { security: [{ apiKey: [] }] };
+
+// Pipeline bodies may also be sent as multipart/form-data: JSON fields plus one file per input
+const multipart = (name) => ({
+  required: true,
+  content: {
+    'application/json': { schema: ref(name) },
+    'multipart/form-data': {
+      schema: {
+        type: 'object',
+        description: 'The JSON body\'s fields as JSON-encoded form fields, plus one file field per input',
+        additionalProperties: { type: 'string' }
+      }
+    }
+  }
+});
+
+/**
+ * The OpenAPI document served at /openapi.json
+ */
+export const OPENAPI_DOCUMENT = {
+  openapi: '3.1.0',
+  info: {
+    title: 'ImageMagick Pipeline API',
+    version,
+    description: 'Run ImageMagick pipelines and registered profiles. Step schemas match GET /v1/spec/schema.json.'
+  },
+  components: {
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    },
+    schemas: COMPONENTS
+  },
+  paths: {
+    '/health': {
+      get: {
+        summary: 'Health check',
+        responses: { 200: { description: 'Alive', content: { 'application/json': { schema: { type: 'object', properties: { ok: { const: true } } } } } } }
+      }
+    },
+    '/version': {
+      get: {
+        summary: 'ImageMagick version',
+        responses: { 200: { description: 'magick -version output', content: { 'text/plain': { schema: { type: 'string' } } } }, 500: ERRORS[500] }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        summary: 'This document',
+        responses: { 200: { description: 'OpenAPI 3.1 document', content: { 'application/json': { schema: { type: 'object' } } } } }
+      }
+    },
+    '/v1/spec': {
+      get: {
+        summary: 'Operations, input and param types, examples and registered profiles',
+        responses: { 200: json('Spec', 'Pipeline specification') }
+      }
+    },
+    '/v1/spec/schema.json': {
+      get: {
+        summary: 'JSON Schema for pipeline and profile documents',
+        responses: { 200: { description: 'JSON Schema 2020-12', content: { 'application/schema+json': { schema: { type: 'object' } } } } }
+      }
+    },
+    '/v1/pipeline': {
+      post: {
+        summary: 'Run an inline pipeline',
+        ...secured,
+        parameters: RUN_QUERY,
+        requestBody: multipart('PipelineRequest'),
+        responses: PIPELINE_RESPONSES
+      }
+    },
+    '/v1/run': {
+      post: {
+        summary: 'Run a profile',
+        description: 'A bare profile name runs the latest version; X-Profile reports the version that ran. Inputs may be omitted on a dry run.',
+        ...secured,
+        parameters: [...PROFILE_QUERY, ...RUN_QUERY],
+        requestBody: multipart('RunRequest'),
+        responses: { ...PIPELINE_RESPONSES, 404: json('Error', 'Profile not found') }
+      }
+    },
+    '/v1/batch': {
+      post: {
+        summary: 'Run a profile over many input sets',
+        description: 'With ?stream=true (or Accept: application/x-ndjson) each item is written as an NDJSON line, then a summary line.',
+        ...secured,
+        parameters: [...PROFILE_QUERY, flag('stream', 'Stream NDJSON lines as items finish'), flag('cache', '"false" bypasses the result cache')],
+        requestBody: body('BatchRequest'),
+        responses: {
+          200: {
+            description: 'Per-item results',
+            content: {
+              'application/json': { schema: ref('BatchResult') },
+              'application/x-ndjson': { schema: ref('BatchItemResult') }
+            }
+          },
+          404: json('Error', 'Profile not found'),
+          ...ERRORS
+        }
+      }
+    },
+    '/v1/jobs/{id}': {
+      get: {
+        summary: 'Job state, progress, outputs and errors',
+        ...secured,
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: { 200: json('Job', 'The job'), 401: ERRORS[401], 404: json('Error', 'Job not found') }
+      }
+    },
+    '/v1/jobs/{id}/outputs/{index}': {
+      get: {
+        summary: 'Download a buffered output of a finished job',
+        ...secured,
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+          { name: 'index', in: 'path', required: true, schema: { type: 'integer', minimum: 0 } }
+        ],
+        responses: {
+          200: { description: 'The output', content: { 'image/*': { schema: { type: 'string', contentMediaType: 'image/*' } } } },
+          401: ERRORS[401],
+          404: json('Error', 'Job or output not found')
+        }
+      }
+    },
+    '/admin/reload': {
+      post: {
+        summary: 'Clear the profile cache',
+        description: 'Without a source, also rescans PROFILE_DIR and PROFILE_SOURCE.',
+        ...secured,
+        requestBody: { required: false, content: { 'application/json': { schema: ref('ReloadRequest') } } },
+        responses: { 200: json('ReloadResult', 'Reloaded'), 400: ERRORS[400], 401: ERRORS[401], 500: ERRORS[500] }
+      }
+    },
+    '/admin/profiles': {
+      get: {
+        summary: 'Registered and cached profiles',
+        ...secured,
+        responses: { 200: json('ProfileList', 'Profiles'), 401: ERRORS[401] }
+      }
+    },
+    '/mask': {
+      post: {
+        summary: 'Legacy: apply an alpha mask, answer with a TIFF',
+        ...secured,
+        requestBody: body('MaskRequest'),
+        responses: IMAGE_RESPONSE
+      }
+    },
+    '/process': {
+      post: {
+        summary: 'Legacy: run magick arguments on one image',
+        ...secured,
+        requestBody: body('ProcessRequest'),
+        responses: IMAGE_RESPONSE
+      }
+    }
+  }
+};
+
+// Validators resolve #/components/schemas refs against the document
+const ajv = createAjv();
+ajv.addVocabulary(['components']);
+ajv.addSchema({ $id: OPENAPI_ID, components: { schemas: COMPONENTS } });
+
+const validators = new Map(); // $ref → compiled validator
+function validatorFor(schema) {
+  if (!schema || !schema.$ref) return null;
+  if (!validators.has(schema.$ref)) validators.set(schema.$ref, ajv.compile({ $ref: `${OPENAPI_ID}${schema.$ref}` }));
+  return validators.get(schema.$ref);
+}
+
+// The document's operation for a matched Express route (/v1/jobs/:id → /v1/jobs/{id})
+function operationFor(req) {
+  if (!req.route) return null;
+  const path = req.route.path.replace(/:(\w+)/g, '{$1}');
+  return (OPENAPI_DOCUMENT.paths[path] || {})[req.method.toLowerCase()] || null;
+}
+
+// Query validators by operation: its documented query parameters as one object schema
+// (undocumented parameters are ignored)
+const queryValidators = new Map(); // operation → compiled validator
+function queryValidatorFor(operation) {
+  const params = (operation.parameters || []).filter(p => p.in === 'query');
+  if (params.length === 0) return null;
+  if (!queryValidators.has(operation)) {
+    queryValidators.set(operation, ajv.compile({
+      type: 'object',
+      properties: Object.fromEntries(params.map(p => [p.name, p.schema])),
+      required: params.filter(p => p.required).map(p => p.name)
+    }));
+  }
+  return queryValidators.get(operation);
+}
+
+/**
+ * Express middleware: check the query string and body against the route's
+ * documented parameters and request schema
+ * Multipart bodies are checked once multipartBody has turned them into the JSON shape.
+ * Answers 400 { error: 'invalid query', details, issues } with pointers into the
+ * query parameters (e.g. /source for ?source[bucket]=...), or
+ * 400 { error: 'invalid request', details, issues } with JSON pointers into the body.
+ */
+export function validateRequest(req, res, next) {
+  const operation = operationFor(req);
+  const validateQuery = operation && queryValidatorFor(operation);
+  if (validateQuery && !validateQuery(req.query)) {
+    const issues = schemaIssues(validateQuery.errors);
+    return res.status(400).json({ error: 'invalid query', details: issues.map(issue => issue.message), issues });
+  }
+
+  const content = operation && operation.requestBody && operation.requestBody.content;
+  const validate = content && validatorFor(content['application/json'].schema);
+  if (!validate || validate(req.body || {})) return next();
+
+  const issues = schemaIssues(validate.errors);
+  res.status(400).json({ error: 'invalid request', details: issues.map(issue => issue.message), issues });
+}
+
+/**
+ * Express middleware: log JSON responses that do not match the document (VALIDATE_RESPONSES=true)
+ * Responses are sent unchanged; mismatches are only reported.
+ */
+export function validateResponses(req, res, next) {
+  const send = res.json.bind(res);
+  res.json = (payload) => {
+    const operation = operationFor(req);
+    const response = operation && (operation.responses[res.statusCode] || operation.responses.default);
+    const content = response && response.content && response.content['application/json'];
+    const validate = content && validatorFor(content.schema);
+    if (validate && !validate(payload)) {
+      const issues = schemaIssues(validate.errors).map(issue => `${issue.pointer || '/'}: ${issue.message}`);
+      console.warn(`${req.method} ${req.originalUrl}: ${res.statusCode} response does not match the OpenAPI document: ${issues.join('; ')}`);
+    }
+    return send(payload);
+  };
+  next();
+}
@@ -3,7 +3,36 @@
  * Each function returns an array of magick CLI arguments (no shell)
  */
 
+import fs from 'fs';
+import path from 'path';
 import { evaluateExpression, compileToFx } from './expressions.js';
+import { ICC_PROFILES, OPERATIONS } from './schema.js';
+
+const ICC_PROFILE_DIR = process.env.ICC_PROFILE_DIR || '/usr/share/color/icc';
+
+// magick -intent values by rendering intent
+const INTENTS = { perceptual: 'Perceptual', relative: 'Relative', saturation: 'Saturation', absolute: 'Absolute' };
+
+// libraw dng:output-color values by color space
+const RAW_OUTPUT_COLORS = { raw: 0, sRGB: 1, AdobeRGB: 2, WideGamut: 3, ProPhoto: 4, XYZ: 5, ACES: 6 };
+
+// libraw dng:interpolation-quality values by demosaic algorithm
+const RAW_INTERPOLATIONS = { linear: 0, vng: 1, ppg: 2, ahd: 3, dcb: 4, dht: 11, aahd: 12 };
+
+/**
+ * Path of a named ICC profile (see ICC_PROFILES)
+ */
+export function iccProfilePath(name) {
+  if (!ICC_PROFILES[name]) throw new Error(`Unknown ICC profile: ${name}`);
+  return path.join(ICC_PROFILE_DIR, ICC_PROFILES[name]);
+}
+
+/**
+ * True if a named ICC profile's file exists under ICC_PROFILE_DIR
+ */
+export function iccProfileInstalled(name) {
+  return fs.existsSync(iccProfilePath(name));
+}
 
 /**
  * Build args for maskAlpha operation
@@ -59,6 +88,51 @@ export function buildTrimRepage(step, images, vars) {
   };
 }
 
+/**
+ * Build args for autoOrient
+ */
+export function buildAutoOrient(step, images, vars) {
+  const src = images.get(step.src);
+  if (!src) throw new Error(`autoOrient: missing src "${step.src}"`);
+
+  return {
+    inputs: [src],
+    args: ['-auto-orient']
+  };
+}
+
+/**
+ * Build args decoding an input with its import options (raw, autoOrient)
+ * RAW settings libraw takes are dng: defines, which must precede the input;
+ * exposure and bit depth are applied once decoded.
+ * Returns: { defines, args } or null when the input is used as imported
+ */
+export function buildInputDecode(spec) {
+  if (!spec || typeof spec !== 'object' || (!spec.raw && !spec.autoOrient)) return null;
+
+  const raw = spec.raw || {};
+  const define = (name, value) => ['-define', `dng:${name}=${value}`];
+  const defines = [
+    ...(raw.whiteBalance === 'camera' ? define('use-camera-wb', 'true') : []),
+    ...(raw.whiteBalance === 'auto' ? define('use-auto-wb', 'true') : []),
+    ...(raw.outputColor ? define('output-color', RAW_OUTPUT_COLORS[raw.outputColor]) : []),
+    ...(raw.interpolation ? define('interpolation-quality', RAW_INTERPOLATIONS[raw.interpolation]) : []),
+    ...(raw.autoBrightness === false ? define('no-auto-bright', 'true') : [])
+  ];
+
+  const args = [];
+  if (spec.autoOrient) args.push('-auto-orient');
+  // Exposure in stops: each one doubles (or halves) the linear values, so the
+  // gamma-encoded decode is linearized for the multiply and re-encoded after
+  if (raw.exposure) {
+    const gain = String(Math.round(2 ** raw.exposure * 10000) / 10000);
+    args.push('-colorspace', 'RGB', '-evaluate', 'Multiply', gain, '-colorspace', 'sRGB');
+  }
+  if (raw.bitDepth) args.push('-depth', String(raw.bitDepth));
+
+  return { defines, args };
+}
+
 /**
  * Build args for padToAspect
  * Dynamically calculates extent based on aspect ratio and padding
@@ -97,6 +171,24 @@ export function buildPadToAspect(step, images, vars) {
   };
 }
 
+/**
+ * Build args for smartCrop
+ * context.box is the crop box chosen at run time (see findCropBox); the result
+ * is then resized to width and/or height when given.
+ */
+export function buildSmartCrop(step, images, vars, context = {}) {
+  const src = images.get(step.src);
+  if (!src) throw new Error(`smartCrop: missing src "${step.src}"`);
+  if (!context.box) throw new Error('smartCrop: crop box not chosen');
+
+  const { x, y, w, h } = context.box;
+  const args = ['-crop', `${w}x${h}+${x}+${y}`, '+repage'];
+  if (step.width || step.height) {
+    args.push('-resize', `${step.width || ''}x${step.height || ''}${step.width && step.height ? '!' : ''}`);
+  }
+  return { inputs: [src], args };
+}
+
 /**
  * Build args for flatten
  */
@@ -158,6 +250,33 @@ export function buildColorspace(step, images, vars) {
   };
 }
 
+/**
+ * Build args for colorManage
+ * Converts with lcms from the embedded profile to step.to. Images without an
+ * embedded profile (context.hasProfile false), or with ignoreEmbedded, are
+ * first assigned step.from: -profile assigns when none is embedded.
+ */
+export function buildColorManage(step, images, vars, context = {}) {
+  const src = images.get(step.src);
+  if (!src) throw new Error(`colorManage: missing src "${step.src}"`);
+
+  const defaults = OPERATIONS.colorManage.defaults;
+  const intent = step.intent || defaults.intent;
+  const bpc = step.blackPointCompensation ?? defaults.blackPointCompensation;
+
+  // Settings first: they apply to the -profile conversions that follow
+  const args = ['-intent', INTENTS[intent], bpc ? '-black-point-compensation' : '+black-point-compensation'];
+  if (step.ignoreEmbedded) {
+    args.push('+profile', 'icc');
+  }
+  if (step.ignoreEmbedded || context.hasProfile === false) {
+    args.push('-profile', iccProfilePath(step.from || defaults.from));
+  }
+  args.push('-profile', iccProfilePath(step.to));
+
+  return { inputs: [src], args };
+}
+
 /**
  * Build args for format conversion
  */
@@ -193,10 +312,130 @@ export function buildComposite(step, images, vars) {
   return { inputs: [base, overlay], args };
 }
 
+// Offset component for a -geometry argument, e.g. +10 or -5
+const signed = (n) => (n < 0 ? `${n}` : `+${n}`);
+
+/**
+ * Escape text for label:, which would read a file for a leading "@" and
+ * expand %[...] escapes
+ */
+function labelText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/%/g, '%%').replace(/^@/, '\\@');
+}
+
+/**
+ * Args compositing an overlay onto the first image
+ * mark builds the overlay inside parentheses; drop removes images the mark was
+ * built from. The overlay then takes the step's rotation, opacity and spacing,
+ * and is placed by gravity and offset or tiled over the whole image.
+ */
+function overlayArgs(step, mark, drop = []) {
+  const { defaults } = OPERATIONS[step.op];
+  const opacity = step.opacity ?? defaults.opacity;
+
+  const look = [];
+  if (step.rotate) look.push('-background', 'none', '-rotate', String(step.rotate));
+  if (opacity < 1) look.push('-alpha', 'set', '-channel', 'A', '-evaluate', 'multiply', String(opacity), '+channel');
+
+  if (step.tile) {
+    if (step.spacing) look.push('-bordercolor', 'none', '-border', String(Math.round(step.spacing / 2)));
+    return [
+      '(', ...mark, ...look, '-write', 'mpr:mark', '+delete', ')', ...drop,
+      '(', '-clone', '0', '-alpha', 'set', '-alpha', 'transparent', '-tile', 'mpr:mark', '-draw', 'color 0,0 reset', ')',
+      '-compose', 'Over', '-composite'
+    ];
+  }
+
+  const { x = 0, y = 0 } = step.offset || {};
+  return [
+    '(', ...mark, ...look, ')', ...drop,
+    '-gravity', step.gravity || defaults.gravity,
+    '-geometry', `${signed(x)}${signed(y)}`,
+    '-compose', 'Over', '-composite'
+  ];
+}
+
+/**
+ * Build args for text
+ */
+export function buildText(step, images, vars) {
+  const src = images.get(step.src);
+  if (!src) throw new Error(`text: missing src "${step.src}"`);
+
+  const { defaults } = OPERATIONS.text;
+  const mark = [
+    '-background', 'none',
+    ...(step.font ? ['-font', step.font] : []),
+    '-pointsize', String(step.size ?? defaults.size),
+    '-fill', step.color || defaults.color,
+    `label:${labelText(step.text)}`
+  ];
+  return { inputs: [src], args: overlayArgs(step, mark) };
+}
+
+/**
+ * Build args for watermark
+ * With scale, the mark is resized to that fraction of the image's width.
+ */
+export function buildWatermark(step, images, vars) {
+  const src = images.get(step.src);
+  const markPath = images.get(step.mark);
+  if (!src || !markPath) {
+    throw new Error(`watermark: missing src "${step.src}" or mark "${step.mark}"`);
+  }
+
+  const measure = step.scale
+    ? ['(', '-clone', '0', '-set', 'option:markW', `%[fx:w*${step.scale}]`, '+delete', ')']
+    : [];
+  const mark = ['-clone', '1', ...(step.scale ? ['-resize', '%[markW]x'] : [])];
+  return { inputs: [src, markPath], args: [...measure, ...overlayArgs(step, mark, ['-delete', '1'])] };
+}
+
+/**
+ * Args for an export's icc option
+ * keep (default) leaves the embedded profile alone; a named profile converts
+ * to it, or is embedded as-is in images without one.
+ */
+function exportIccArgs(icc) {
+  if (!icc || icc === 'keep') return [];
+  if (icc === 'strip') return ['+profile', 'icc'];
+  return ['-profile', iccProfilePath(icc)];
+}
+
+/**
+ * Build format-specific args for an export step's conversion (step.as)
+ * Input and output paths are added by the caller
+ */
+export function buildExportArgs(step) {
+  const args = [];
+
+  if (step.tiff) {
+    // Ensure alpha channel is preserved as an unassociated (straight) alpha in TIFF
+    args.push('-define', 'tiff:alpha=unassociated');
+    args.push(...exportIccArgs(step.tiff.icc));
+    if (step.tiff.compress) args.push('-compress', step.tiff.compress);
+    if (step.tiff.colorspace) args.push('-colorspace', step.tiff.colorspace);
+  }
+  if (step.jpg || step.jpeg) {
+    const opts = step.jpg || step.jpeg;
+    args.push(...exportIccArgs(opts.icc));
+    if (opts.quality) args.push('-quality', String(opts.quality));
+  }
+  if (step.png) {
+    if (step.png.compression) args.push('-quality', String(step.png.compression));
+  }
+  if (step.webp) {
+    if (step.webp.quality) args.push('-quality', String(step.webp.quality));
+  }
+
+  return args;
+}
+
 /**
  * Operation dispatcher
+ * context carries facts probed from the input at run time (e.g. hasProfile)
  */
-export function buildOperation(step, images, vars) {
+export function buildOperation(step, images, vars, context = {}) {
   switch (step.op) {
     case 'maskAlpha':
       return buildMaskAlpha(step, images, vars);
@@ -204,18 +443,28 @@ export function buildOperation(step, images, vars) {
       return buildMeasure(step, images, vars);
     case 'trimRepage':
       return buildTrimRepage(step, images, vars);
+    case 'autoOrient':
+      return buildAutoOrient(step, images, vars);
     case 'padToAspect':
       return buildPadToAspect(step, images, vars);
+    case 'smartCrop':
+      return buildSmartCrop(step, images, vars, context);
     case 'flatten':
       return buildFlatten(step, images, vars);
     case 'resize':
       return buildResize(step, images, vars);
     case 'colorspace':
       return buildColorspace(step, images, vars);
+    case 'colorManage':
+      return buildColorManage(step, images, vars, context);
     case 'format':
       return buildFormat(step, images, vars);
     case 'composite':
       return buildComposite(step, images, vars);
+    case 'text':
+      return buildText(step, images, vars);
+    case 'watermark':
+      return buildWatermark(step, images, vars);
     default:
       throw new Error(`Unknown operation: ${step.op}`);
   }
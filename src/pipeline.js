@@ -4,21 +4,551 @@
  */
 
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { execFile } from 'child_process';
 import { promisify } from 'util';
-import { validatePipeline } from './schema.js';
-import { buildOperation } from './operations.js';
-import { importImage, exportImage, detectMimeType } from './io.js';
-import { substituteVars } from './expressions.js';
+import {
+  validatePipeline, validateStepValues, validateParams, includedProfiles, iccProfileNames,
+  isTemplated, OPERATIONS, IMAGE_FIELDS, STRUCTURAL_FIELDS
+} from './schema.js';
+import { findProfile, profileId, parseProfileRef, selectProfile } from './profiles.js';
+import { buildOperation, buildExportArgs, buildInputDecode, iccProfileInstalled } from './operations.js';
+import { importImage, exportImage, detectMimeType, fingerprintInput, describeInput } from './io.js';
+import { readMetadata, writeMetadata, stripMetadata, metadataCommands, METADATA_READ_FIELDS } from './metadata.js';
+import { findCropBox, smartCropCommands, CROP_FIELDS } from './smartcrop.js';
+import {
+  substituteDeep, templateVars, evaluateExpression, evaluateCondition, expressionVars, lookupVar
+} from './expressions.js';
+import { runDag, createLimiter } from './concurrency.js';
+import {
+  isResultCacheEnabled, resultCacheKey, getCachedResult, putCachedResult, hashFile,
+  isStepCacheEnabled, stepCacheKey, getCachedStep, putCachedStep
+} from './cache.js';
 
 const execFileAsync = promisify(execFile);
 
+// Steps of one run queued for a process slot at once; the slots themselves are
+// shared (processSlots below), so this bounds how much of the pool a run can claim
+const DEFAULT_CONCURRENCY = Number(process.env.PIPELINE_CONCURRENCY) || 2;
+
+// Process-wide cap on steps and input decodes running at once, shared by sync
+// runs, batch items and jobs so concurrent requests cannot multiply processes
+const processSlots = createLimiter(Number(process.env.MAX_PROCESSES) || os.cpus().length);
+const MAX_FOREACH_ITEMS = Number(process.env.MAX_FOREACH_ITEMS) || 100;
+
+// Flat variables a measure step also sets, for profiles written before
+// results were namespaced under the step's out (last measure wins)
+const MEASURE_VARS = ['w', 'h', 'trimW', 'trimH'];
+
+// Results a measure step stores under vars[out]
+export const MEASURE_FIELDS = [
+  'w', 'h', 'trimW', 'trimH', 'trimX', 'trimY', 'dpi', 'dpiY',
+  'colorspace', 'hasAlpha', 'meanR', 'meanG', 'meanB', 'meanColor', 'fileSize'
+];
+
+// identify escapes for one measure call: size, trim box (%@), resolution, colorspace, alpha, mean
+const MEASURE_FORMAT = '%w|%h|%@|%x|%y|%U|%[colorspace]|%A|%[fx:mean.r]|%[fx:mean.g]|%[fx:mean.b]';
+
+/**
+ * magick argv used by the measure step (first frame only)
+ */
+function measureCommand(srcPath) {
+  return ['identify', '-format', MEASURE_FORMAT, `${srcPath}[0]`];
+}
+
+/**
+ * magick argv listing an image's embedded profiles (first frame only)
+ */
+function profilesCommand(srcPath) {
+  return ['identify', '-format', '%[profiles]', `${srcPath}[0]`];
+}
+
+/**
+ * True if the image has an embedded ICC profile
+ */
+async function hasIccProfile(srcPath) {
+  const { stdout } = await execFileAsync('magick', profilesCommand(srcPath), { timeout: 20000 });
+  return stdout.split(',').some(name => ['icc', 'icm'].includes(name.trim().toLowerCase()));
+}
+
+/**
+ * Parse measureCommand output into measure results
+ */
+function parseMeasurement(stdout, fileSize) {
+  const [w, h, trimBox, resX, resY, units, colorspace, alpha, meanR, meanG, meanB] = stdout.trim().split('|');
+  const trim = (trimBox || '').match(/^(\d+)x(\d+)([+-]\d+)([+-]\d+)$/);
+  // Resolution is per centimeter when units say so; report per inch
+  const perInch = (value) => {
+    const n = parseFloat(value) || 0;
+    return Math.round((units === 'PixelsPerCentimeter' ? n * 2.54 : n) * 100) / 100;
+  };
+  const channel = (value) => Math.round(Math.min(Math.max(parseFloat(value) || 0, 0), 1) * 255);
+  const mean = [meanR, meanG, meanB].map(channel);
+
+  return {
+    w: Number(w),
+    h: Number(h),
+    trimW: trim ? Number(trim[1]) : Number(w),
+    trimH: trim ? Number(trim[2]) : Number(h),
+    trimX: trim ? Number(trim[3]) : 0,
+    trimY: trim ? Number(trim[4]) : 0,
+    dpi: perInch(resX),
+    dpiY: perInch(resY),
+    colorspace,
+    hasAlpha: !/^(false|undefined|off)$/i.test(alpha || 'false'),
+    meanR: mean[0],
+    meanG: mean[1],
+    meanB: mean[2],
+    meanColor: `#${mean.map(c => c.toString(16).padStart(2, '0')).join('')}`,
+    fileSize
+  };
+}
+
+// Read a dotted field path (e.g. "jpg.quality") from a step
+function getField(obj, fieldPath) {
+  return fieldPath.split('.').reduce((o, key) => (o == null ? undefined : o[key]), obj);
+}
+
+// Write a dotted field path on a step (parents must exist)
+function setField(obj, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  keys.reduce((o, key) => o[key], obj)[last] = value;
+}
+
+// Numeric fields of a step's operation: dotted path → 'number' | 'integer'
+function numericFields(step) {
+  return (OPERATIONS[step.op] && OPERATIONS[step.op].numeric) || {};
+}
+
+/**
+ * Stringify template results in fields the schema types as strings
+ * A whole-"${var}" template keeps its variable's type, so e.g. a numeric sku
+ * param would otherwise fail a text field's "must be string" check.
+ */
+function stringifyTemplated(original, resolved, schema) {
+  if (!schema || !resolved || typeof resolved !== 'object' || Array.isArray(resolved)) return resolved;
+  for (const [key, value] of Object.entries(resolved)) {
+    const field = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+    if (!field || typeof field !== 'object') continue;
+    if (field.type === 'string' && typeof original[key] === 'string' && ['number', 'boolean'].includes(typeof value)) {
+      resolved[key] = String(value);
+    } else if (field.type === 'object' && original[key] && typeof original[key] === 'object') {
+      stringifyTemplated(original[key], value, field);
+    }
+  }
+  return resolved;
+}
+
+// Step fields holding conditions or nested steps; resolved when they run, not with the step
+const CONTROL_FIELDS = ['when', 'cases', 'default', 'items', 'steps'];
+
+/**
+ * A switch step's branches in evaluation order: its cases, then default
+ * Without default, the implicit default branch has no steps.
+ */
+function switchBranches(step) {
+  const cases = (step.cases || []).map(c => ({ name: c.name, when: c.when, steps: c.steps || [] }));
+  return [...cases, { name: 'default', steps: step.default || [] }];
+}
+
+/**
+ * Pick the branch of a switch whose case condition holds first (else default)
+ * Returns the branch, or null if there is no default and no case matched
+ */
+function selectBranch(step, vars, i) {
+  for (const branch of switchBranches(step).slice(0, -1)) {
+    const condition = evaluateCondition(branch.when, vars);
+    if (condition.type === 'unresolved') {
+      throw new Error(`Step ${i} (switch): case "${branch.name}" references unknown vars: ${condition.vars.join(', ')}`);
+    }
+    if (condition.value) return branch;
+  }
+  return step.default ? switchBranches(step).at(-1) : null;
+}
+
+/**
+ * Resolve a forEach step's items against vars
+ * Returns the array of values, or null while a referenced param is unknown
+ */
+function resolveItems(step, vars, i) {
+  const items = substituteDeep(step.items, vars);
+  if (typeof items === 'string' && templateVars(items).size > 0) return null;
+  if (!Array.isArray(items)) {
+    throw new Error(`Step ${i} (forEach): "items" must resolve to an array`);
+  }
+  if (items.length > MAX_FOREACH_ITEMS) {
+    throw new Error(`Step ${i} (forEach): ${items.length} items exceeds the limit of ${MAX_FOREACH_ITEMS}`);
+  }
+  return items;
+}
+
+// Variable name a forEach step binds each item to
+const loopVar = (step) => step.as || OPERATIONS.forEach.defaults.as;
+
+/**
+ * True if an export in steps, nested or in an included profile, writes to S3
+ */
+function exportsToS3(steps, includes) {
+  return steps.some(step => {
+    if (!step) return false;
+    if (step.op === 'export') return Boolean(step.s3);
+    if (step.op === 'switch') {
+      return exportsToS3([...(step.cases || []).flatMap(branch => branch.steps || []), ...(step.default || [])], includes);
+    }
+    if (step.op === 'forEach') return exportsToS3(step.steps || [], includes);
+    if (step.op === 'include') return includes.has(step.profile) && exportsToS3(includes.get(step.profile).steps, includes);
+    return false;
+  });
+}
+
+/**
+ * Load the profiles that include steps reference, recursively
+ * References resolve among profiles (those loaded from the same source as the
+ * including profile, e.g. an ad-hoc ?source= manifest) first, then among
+ * registered ones, as when the source was validated.
+ * Returns: Map of reference → profile; throws if one is missing or includes form a cycle
+ */
+export async function loadIncludes(steps, profiles = [], loaded = new Map(), chain = []) {
+  for (const ref of includedProfiles(steps)) {
+    const { name, version } = parseProfileRef(ref);
+    const sibling = selectProfile(profiles, name, version);
+    const profile = loaded.get(ref) || sibling || await findProfile(ref);
+    if (!profile) throw new Error(`include: profile "${ref}" not found`);
+    const id = profileId(profile);
+    if (chain.includes(id)) throw new Error(`include: cycle ${[...chain, id].join(' → ')}`);
+    loaded.set(ref, profile);
+    await loadIncludes(profile.steps, sibling ? profiles : [], loaded, [...chain, id]);
+  }
+  return loaded;
+}
+
+/**
+ * Copy an included profile's steps with their image names passed through rename
+ * (measure and metadata read outs are variables, not images, and keep their names)
+ */
+function renameImages(steps, rename) {
+  const renameAll = (mapping) => Object.fromEntries(Object.entries(mapping || {}).map(([k, v]) => [k, rename(v)]));
+  return steps.map(step => {
+    const renamed = { ...step };
+    for (const field of IMAGE_FIELDS) {
+      if (step[field]) renamed[field] = rename(step[field]);
+    }
+    if (step.out && !writesVars(step)) renamed.out = rename(step.out);
+    if (step.op === 'switch') {
+      renamed.cases = (step.cases || []).map(branch => ({ ...branch, steps: renameImages(branch.steps || [], rename) }));
+      if (step.default) renamed.default = renameImages(step.default, rename);
+    }
+    if (step.op === 'forEach') renamed.steps = renameImages(step.steps || [], rename);
+    if (step.op === 'include') {
+      renamed.inputs = renameAll(step.inputs);
+      renamed.outputs = renameAll(step.outputs);
+    }
+    return renamed;
+  });
+}
+
+/**
+ * Copy a forEach body or switch branch with the images it produces renamed under
+ * label (e.g. "3.1/resized" in iteration 1 of step 3), except those in keep (a
+ * switch's outputs). They cannot collide with names produced outside the body,
+ * which may run at the same time; images from outside keep their names.
+ */
+function scopeBody(steps, label, keep = new Set()) {
+  const local = new Set([...producedNames(steps)].filter(name => !keep.has(name)));
+  return renameImages(steps, name => (local.has(name) ? `${label}/${name}` : name));
+}
+
+/**
+ * Prepare an include step for running or planning
+ * The included profile sees only its own params (step.params resolved against
+ * vars, checked against its params schema). Its mapped inputs are renamed to the
+ * images given here; every other image name is prefixed with the step label
+ * (e.g. "1/masked"), so it cannot collide with names in the including pipeline.
+ * Returns: { profile, steps, vars, outputs: { image here → scoped name }, unresolved }
+ */
+function prepareInclude(step, i, vars, includes) {
+  const profile = includes.get(step.profile);
+  if (!profile) throw new Error(`Step ${i} (include): profile "${step.profile}" is not loaded`);
+  const label = `Step ${i} (include ${profileId(profile)})`;
+
+  const mapped = step.inputs || {};
+  const declared = profile.inputs || {};
+  for (const name of Object.keys(mapped)) {
+    if (!Object.hasOwn(declared, name)) throw new Error(`${label}: unknown input "${name}"`);
+  }
+  for (const name of Object.keys(declared)) {
+    if (!Object.hasOwn(mapped, name)) throw new Error(`${label}: input "${name}" is not mapped`);
+  }
+
+  const available = new Set([...Object.keys(declared), ...producedNames(profile.steps)]);
+  for (const name of Object.keys(step.outputs || {})) {
+    if (!available.has(name)) throw new Error(`${label}: profile does not produce "${name}"`);
+  }
+
+  const rename = (name) => (Object.hasOwn(mapped, name) ? mapped[name] : `${i}/${name}`);
+  const outputs = {};
+  for (const [name, target] of Object.entries(step.outputs || {})) outputs[target] = rename(name);
+
+  const params = substituteDeep(step.params || {}, vars);
+  const unresolved = [...templateVars(params)];
+  let childVars = null;
+  if (unresolved.length === 0) {
+    const checked = validateParams(profile.params, params);
+    if (!checked.valid) throw new Error(`${label}: invalid params: ${checked.errors.join('; ')}`);
+    childVars = checked.params;
+  }
+
+  return { profile, steps: renameImages(profile.steps, rename), vars: childVars, outputs, unresolved };
+}
+
+/**
+ * Image names a list of steps produces (a nested switch produces its outputs;
+ * a forEach produces nothing outside itself; an include produces its mapped outputs)
+ */
+function producedNames(steps) {
+  const produced = new Set();
+  for (const step of steps) {
+    if (step.op === 'switch') {
+      for (const name of switchOutputs(step)) produced.add(name);
+    } else if (step.op === 'include') {
+      for (const name of Object.values(step.outputs || {})) produced.add(name);
+    } else if (step.out && !writesVars(step) && !['export', 'forEach'].includes(step.op)) {
+      produced.add(step.out);
+    }
+  }
+  return produced;
+}
+
+/**
+ * Images available after a switch: those every branch produces
+ */
+export function switchOutputs(step) {
+  let common = null;
+  for (const branch of switchBranches(step)) {
+    const produced = producedNames(branch.steps);
+    common = common === null ? produced : new Set([...produced].filter(name => common.has(name)));
+  }
+  return common || new Set();
+}
+
+// Nested step lists of a switch or forEach
+function bodies(step) {
+  if (step.op === 'switch') return switchBranches(step).map(branch => branch.steps);
+  if (step.op === 'forEach') return [step.steps || []];
+  return null;
+}
+
+/**
+ * Image names a step reads from outside itself
+ * For a switch or forEach: names any nested step reads that its branch or loop
+ * body did not produce first.
+ */
+function stepReads(step) {
+  const reads = new Set();
+  if (step.op === 'include') {
+    for (const name of Object.values(step.inputs || {})) reads.add(name);
+    return reads;
+  }
+  if (!bodies(step)) {
+    for (const field of IMAGE_FIELDS) {
+      if (step[field]) reads.add(step[field]);
+    }
+    return reads;
+  }
+
+  for (const steps of bodies(step)) {
+    const local = new Set();
+    for (const sub of steps) {
+      for (const name of stepReads(sub)) {
+        if (!local.has(name)) reads.add(name);
+      }
+      for (const name of producedNames([sub])) local.add(name);
+    }
+  }
+  return reads;
+}
+
+// True for steps whose out names a variable rather than an image
+function writesVars(step) {
+  return step.op === 'measure' || (step.op === 'metadata' && step.mode === 'read');
+}
+
+// Variables a step (or, with filter, only a matching step) sets: measure and
+// metadata read outs and smartCrop boxes, including inside switch branches.
+// Steps inside a forEach only set variables for their own iteration.
+function varOuts(step, filter = () => true) {
+  if (step.op === 'switch') {
+    return switchBranches(step).flatMap(branch => branch.steps.flatMap(sub => varOuts(sub, filter)));
+  }
+  if (!filter(step)) return [];
+  if (writesVars(step)) return [step.out];
+  return step.op === 'smartCrop' && step.box ? [step.box] : [];
+}
+
+/**
+ * Variables a step reads: ${var} templates anywhere, identifiers in expressions
+ * given for numeric fields, and identifiers in "when" conditions (including
+ * those of switch cases and nested steps). For a forEach, the loop variable and
+ * the loop body's own measure, metadata and crop box results are not included.
+ */
+export function referencedVars(step) {
+  if (step.op === 'forEach') {
+    const found = templateVars(step.items);
+    if (typeof step.when === 'string') {
+      for (const name of expressionVars(step.when)) found.add(name);
+    }
+    const local = new Set([loopVar(step), ...(step.steps || []).flatMap(sub => varOuts(sub))]);
+    for (const sub of step.steps || []) {
+      for (const name of referencedVars(sub)) {
+        if (!local.has(name.split('.')[0])) found.add(name);
+      }
+    }
+    return found;
+  }
+
+  if (step.op === 'switch') {
+    const found = new Set();
+    for (const branch of switchBranches(step)) {
+      if (typeof branch.when === 'string') {
+        for (const name of expressionVars(branch.when)) found.add(name);
+      }
+      for (const sub of branch.steps) {
+        for (const name of referencedVars(sub)) found.add(name);
+      }
+    }
+    return found;
+  }
+
+  const found = new Set();
+  for (const [field, value] of Object.entries(step)) {
+    if (!CONTROL_FIELDS.includes(field)) templateVars(value, found);
+  }
+  if (typeof step.when === 'string') {
+    for (const name of expressionVars(step.when)) found.add(name);
+  }
+  for (const fieldPath of Object.keys(numericFields(step))) {
+    const value = getField(step, fieldPath);
+    if (typeof value === 'string') {
+      // Templates are substituted before evaluation; stand in a literal for them
+      for (const name of expressionVars(value.replace(/\$\{\w+\}/g, '0'))) found.add(name);
+    }
+  }
+  return found;
+}
+
+/**
+ * Resolve a step's parameterized fields against vars (request params and measure results)
+ * - ${var} templates in any field except op, out and image names; a field that is
+ *   exactly "${var}" takes the variable's value, so numbers stay numbers (unless
+ *   the field is a string one)
+ * - numeric fields given as strings are evaluated with the safe expression engine,
+ *   e.g. "value": "min(w, 2000)"; integer fields are rounded
+ * Returns: { step, unresolved: [fields still waiting on unknown vars] }
+ */
+export function resolveStep(step, vars) {
+  const fixed = (field) => STRUCTURAL_FIELDS.includes(field) || CONTROL_FIELDS.includes(field);
+
+  const resolved = {};
+  for (const [field, value] of Object.entries(step)) {
+    resolved[field] = fixed(field) ? value : substituteDeep(value, vars);
+  }
+  if (OPERATIONS[step.op]) stringifyTemplated(step, resolved, OPERATIONS[step.op]);
+
+  const unresolved = new Set();
+  for (const [field, value] of Object.entries(resolved)) {
+    if (!fixed(field) && templateVars(value).size > 0) unresolved.add(field);
+  }
+
+  for (const [fieldPath, kind] of Object.entries(numericFields(step))) {
+    const value = getField(resolved, fieldPath);
+    if (typeof value !== 'string' || isTemplated(value)) continue;
+    if (value.trim() !== '' && !isNaN(value)) {
+      setField(resolved, fieldPath, Number(value));
+      continue;
+    }
+
+    let result;
+    try {
+      result = evaluateExpression(value, vars, { round: kind === 'integer' });
+    } catch (e) {
+      throw new Error(`${step.op}: invalid expression for "${fieldPath}": ${e.message}`);
+    }
+    if (result.type === 'number') setField(resolved, fieldPath, result.value);
+    else unresolved.add(fieldPath.split('.')[0]);
+  }
+
+  return { step: resolved, unresolved: [...unresolved] };
+}
+
+/**
+ * Build the step dependency graph from src/out names and measure variables
+ * A switch is a single node: it reads what its branches read from outside and
+ * produces the images every branch produces.
+ * Returns:
+ *  - deps: per step, a Set of earlier step indices it must wait for
+ *  - consumers: image name → number of steps that read it
+ */
+export function buildStepGraph(steps) {
+  const producers = new Map(); // image → producing step index
+  const deps = steps.map(() => new Set());
+  const consumers = new Map();
+  const varSteps = new Map(); // measure or metadata read out → step index
+  let lastMeasure = -1;
+  let varReaders = []; // steps reading flat measure vars since lastMeasure
+
+  steps.forEach((step, i) => {
+    for (const name of stepReads(step)) {
+      if (producers.has(name)) deps[i].add(producers.get(name));
+      consumers.set(name, (consumers.get(name) || 0) + 1);
+    }
+
+    // Namespaced reads (m.trimW, exif.camera) wait for the step that produced them
+    const read = [...referencedVars(step)];
+    for (const name of read) {
+      const root = name.split('.')[0];
+      if (name.includes('.') && varSteps.has(root)) deps[i].add(varSteps.get(root));
+    }
+    for (const out of varOuts(step)) varSteps.set(out, i);
+
+    // Measure also writes the shared flat vars, so it stays ordered after earlier
+    // measures and their flat readers; those readers wait for the measure they follow
+    // A switch containing a measure counts as one
+    const readsMeasure = read.some(v => MEASURE_VARS.includes(v));
+    if (varOuts(step, sub => sub.op === 'measure').length > 0) {
+      if (lastMeasure >= 0) deps[i].add(lastMeasure);
+      for (const reader of varReaders) deps[i].add(reader);
+      lastMeasure = i;
+      varReaders = [];
+    } else if (readsMeasure) {
+      if (lastMeasure >= 0) deps[i].add(lastMeasure);
+      varReaders.push(i);
+    }
+
+    for (const name of producedNames([step])) {
+      producers.set(name, i);
+    }
+  });
+
+  return { deps, consumers };
+}
+
 /**
  * Execute a complete pipeline
+ * Options:
+ *  - onStep: (realizedStep) => void, called as each step completes
+ *  - cache: false to bypass the result and step caches (when configured)
+ *  - profiles: profiles loaded from the same source as this one, which its
+ *    include steps resolve to before registered ones (see loadIncludes)
+ *  - concurrency: max steps of this run waiting for or holding a process slot
+ *    (default PIPELINE_CONCURRENCY or 2)
+ * Independent branches of the step graph run concurrently, within the
+ * process-wide MAX_PROCESSES limit; each intermediate
+ * file is deleted as soon as its last consumer finishes.
  * Returns: { outputs: [...], stats: {...}, realizedSteps: [...] }
  */
-export async function executePipeline(pipeline, params = {}, tmpDir = '/tmp') {
+export async function executePipeline(pipeline, params = {}, tmpDir = '/tmp', options = {}) {
   const startTime = Date.now();
   const validation = validatePipeline(pipeline);
   
@@ -29,24 +559,208 @@ export async function executePipeline(pipeline, params = {}, tmpDir = '/tmp') {
   // Merge params into vars for substitution
   const vars = { ...params };
   const images = new Map(); // name → path
+  const imageCleanups = new Map(); // name → cleanup function
   const cleanups = []; // cleanup functions
   const realizedSteps = [];
   const outputs = [];
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+
+  // A file can back several names (a skipped step passes its source through to
+  // its out), so it is only deleted once every name using it has been released
+  const fileRefs = new Map(); // path → number of names using it
+  const fileCleanups = new Map(); // path → cleanup function
+
+  const addImage = (name, filePath, cleanup) => {
+    images.set(name, filePath);
+    fileRefs.set(filePath, (fileRefs.get(filePath) || 0) + 1);
+    if (!fileCleanups.has(filePath)) {
+      fileCleanups.set(filePath, cleanup);
+      cleanups.push(cleanup);
+    }
+
+    let released = false;
+    imageCleanups.set(name, () => {
+      if (released) return;
+      released = true;
+      const left = fileRefs.get(filePath) - 1;
+      fileRefs.set(filePath, left);
+      if (left === 0) fileCleanups.get(filePath)();
+    });
+  };
+
+  const recordStep = (entry) => {
+    realizedSteps.push(entry);
+    if (options.onStep) options.onStep(entry);
+  };
+
+  const useCache = options.cache !== false && isResultCacheEnabled();
+  const useStepCache = options.cache !== false && isStepCacheEnabled();
+  let cacheKey = null;
+  let fingerprints = null;
+
+  // Content hashes of image files, computed lazily for step cache keys
+  const fileHashes = new Map(); // path → sha256
+  const contentHash = async (filePath) => {
+    if (!fileHashes.has(filePath)) fileHashes.set(filePath, await hashFile(filePath));
+    return fileHashes.get(filePath);
+  };
+
+  // Serve an identical earlier run from the result cache
+  const cachedResult = (key) => {
+    const cached = getCachedResult(key);
+    if (!cached) return null;
+    recordStep({ op: 'cache', key, hit: true });
+    return {
+      outputs: cached,
+      stats: {
+        totalDuration: Date.now() - startTime,
+        stepsExecuted: 0,
+        imagesProcessed: 0,
+        cache: 'hit'
+      },
+      realizedSteps
+    };
+  };
 
   try {
-    // Import inputs
+    // Load included profiles up front: a missing profile fails before any download,
+    // and their steps and params count toward the result cache key
+    const includes = await loadIncludes(pipeline.steps, options.profiles);
+    const includedSteps = includes.size > 0
+      ? Object.fromEntries([...includes].map(([ref, p]) => [ref, { version: p.version, params: p.params, steps: p.steps }]))
+      : undefined;
+
+    // A hit would skip uploads, so runs exporting to S3 always run (an object
+    // deleted since would otherwise be reported as written)
+    const resultCacheable = useCache && !exportsToS3(pipeline.steps, includes);
+
+    // Fingerprint inputs from metadata where possible, so a hit skips the download
+    if (resultCacheable) {
+      fingerprints = {};
+      for (const [name, spec] of Object.entries(pipeline.inputs)) {
+        fingerprints[name] = await fingerprintInput(spec);
+      }
+      if (Object.values(fingerprints).every(Boolean)) {
+        cacheKey = resultCacheKey(pipeline, params, fingerprints, includedSteps);
+        const hit = cachedResult(cacheKey);
+        if (hit) return hit;
+      }
+    }
+
+    // Import inputs, developing RAWs and auto-orienting as asked
     for (const [name, spec] of Object.entries(pipeline.inputs)) {
       const imported = await importImage(spec, tmpDir);
-      images.set(name, imported.path);
-      cleanups.push(imported.cleanup);
-      realizedSteps.push({ op: 'import', name, path: imported.path });
+      const decode = buildInputDecode(spec);
+      if (!decode) {
+        addImage(name, imported.path, imported.cleanup);
+        recordStep({ op: 'import', name, path: imported.path });
+        continue;
+      }
+
+      // RAWs are developed to TIFF; other images keep their format
+      const ext = path.extname(imported.path);
+      const decodedPath = path.join(tmpDir, `${path.basename(imported.path, ext)}-decoded${spec.raw ? '.tif' : ext}`);
+      try {
+        await processSlots.run(() => execFileAsync('magick', [...decode.defines, imported.path, ...decode.args, decodedPath], {
+          timeout: 120000,
+          maxBuffer: 100 * 1024 * 1024
+        }));
+      } finally {
+        imported.cleanup();
+      }
+      addImage(name, decodedPath, () => { try { fs.unlinkSync(decodedPath); } catch {} });
+      recordStep({ op: 'import', name, path: decodedPath, raw: spec.raw, autoOrient: spec.autoOrient });
     }
 
-    // Execute steps
-    for (let i = 0; i < pipeline.steps.length; i++) {
-      const step = pipeline.steps[i];
+    // Fall back to hashing the bytes of inputs without a cheap fingerprint
+    if (resultCacheable && !cacheKey) {
+      for (const [name, fingerprint] of Object.entries(fingerprints)) {
+        if (!fingerprint) fingerprints[name] = `sha256:${await hashFile(images.get(name))}`;
+      }
+      cacheKey = resultCacheKey(pipeline, params, fingerprints, includedSteps);
+      const hit = cachedResult(cacheKey);
+      if (hit) return hit;
+    }
+
+    const { deps, consumers } = buildStepGraph(pipeline.steps);
+    const pendingReads = new Map(consumers);
+    const exportSlots = []; // outputs by top-level step index, so order matches the pipeline
+
+    // Delete an image's file once no pending step reads it
+    const release = (name) => {
+      const left = (pendingReads.get(name) || 0) - 1;
+      pendingReads.set(name, left);
+      if (left <= 0 && imageCleanups.has(name)) imageCleanups.get(name)();
+    };
+
+    for (const name of images.keys()) {
+      if (!consumers.has(name)) release(name);
+    }
+
+    // Temp file name for a step; nested labels (e.g. "2.cmyk.0") may contain case names
+    const tmpPath = (prefix, i, ext = '') => (
+      path.join(tmpDir, `${prefix}-${Date.now()}-${String(i).replace(/[^\w.-]/g, '_')}${ext}`)
+    );
+
+    /**
+     * Run one step. i labels it (top-level index, "2.cmyk.0" inside a switch
+     * branch, or "3.1.0" in iteration 1 of a forEach); slot is the top-level index
+     * its exports are ordered by; scope holds the variables it sees (vars, or an
+     * iteration's copy with the loop variable).
+     * Returns the image names it produced.
+     */
+    const runStep = async (original, i, slot, scope = vars) => {
       const stepStart = Date.now();
 
+      if (original.op === 'switch') {
+        return runSwitch(original, i, slot, scope);
+      }
+      if (original.op === 'include') {
+        return runInclude(original, i, slot, scope);
+      }
+
+      // Steps whose condition is false pass their source image through to out
+      if (original.when !== undefined) {
+        const condition = evaluateCondition(original.when, scope);
+        if (condition.type === 'unresolved') {
+          throw new Error(`Step ${i} (${original.op}): "when" references unknown vars: ${condition.vars.join(', ')}`);
+        }
+        if (!condition.value) {
+          const source = original.src || original.base;
+          const passThrough = original.out && !writesVars(original) && original.op !== 'export' && source;
+          if (passThrough) addImage(original.out, images.get(source), fileCleanups.get(images.get(source)));
+          recordStep({
+            op: original.op,
+            step: i,
+            src: source,
+            out: original.out,
+            skipped: true,
+            when: original.when,
+            duration: Date.now() - stepStart
+          });
+          return passThrough ? [original.out] : [];
+        }
+      }
+
+      if (original.op === 'forEach') {
+        return runForEach(original, i, slot, scope);
+      }
+
+      // Resolve templates and expressions now that earlier measures have run
+      const { step, unresolved } = resolveStep(original, scope);
+      if (unresolved.length > 0) {
+        const missing = [...referencedVars(step)].filter(v => lookupVar(scope, v) === undefined);
+        throw new Error(`Step ${i} (${step.op}): unresolved ${unresolved.map(f => `"${f}"`).join(', ')} (unknown vars: ${missing.join(', ')})`);
+      }
+      const valueErrors = validateStepValues(step, i);
+      if (valueErrors.length > 0) {
+        throw new Error(valueErrors.join('; '));
+      }
+      const missingIcc = [...iccProfileNames([step])].filter(name => !iccProfileInstalled(name));
+      if (missingIcc.length > 0) {
+        throw new Error(`Step ${i} (${step.op}): ICC profile not installed: ${missingIcc.join(', ')}`);
+      }
+
       // Handle export specially
       if (step.op === 'export') {
         const srcPath = images.get(step.src);
@@ -55,46 +769,39 @@ export async function executePipeline(pipeline, params = {}, tmpDir = '/tmp') {
         // Apply format conversion if specified
         let finalPath = srcPath;
         if (step.as) {
-          const ts = Date.now();
-          const outputPath = path.join(tmpDir, `export-${ts}-${i}.${step.as}`);
-          const args = [srcPath];
-          
-          // Add format-specific args
-          if (step.tiff) {
-            // Ensure alpha channel is preserved as an unassociated (straight) alpha in TIFF
-            args.push('-define', 'tiff:alpha=unassociated');
-            if (step.tiff.compress) args.push('-compress', step.tiff.compress);
-            if (step.tiff.colorspace) args.push('-colorspace', step.tiff.colorspace);
-          }
-          if (step.jpg || step.jpeg) {
-            const opts = step.jpg || step.jpeg;
-            if (opts.quality) args.push('-quality', String(opts.quality));
-          }
-          if (step.png) {
-            if (step.png.compression) args.push('-quality', String(step.png.compression));
-          }
-          if (step.webp) {
-            if (step.webp.quality) args.push('-quality', String(step.webp.quality));
-          }
-          
-          args.push(outputPath);
+          const outputPath = tmpPath('export', i, `.${step.as}`);
+          const args = [srcPath, ...buildExportArgs(step), outputPath];
           
           await execFileAsync('magick', args, { timeout: 60000, maxBuffer: 100 * 1024 * 1024 });
           finalPath = outputPath;
           cleanups.push(() => { try { fs.unlinkSync(outputPath); } catch {} });
         }
 
-        const exported = await exportImage(finalPath, step, vars);
-        outputs.push(exported);
+        // Strip metadata from a copy, so the source image stays intact for other steps
+        if (step.metadata && step.metadata !== 'keep') {
+          if (finalPath === srcPath) {
+            finalPath = tmpPath('export', i, path.extname(srcPath));
+            fs.copyFileSync(srcPath, finalPath);
+            cleanups.push(() => { try { fs.unlinkSync(finalPath); } catch {} });
+          }
+          await stripMetadata(finalPath, step.metadata.keep || []);
+        }
+
+        const exported = await exportImage(finalPath, step, scope);
+        exportSlots[slot] = [...(exportSlots[slot] || []), { ...exported, src: step.src, name: step.name }];
+        if (finalPath !== srcPath) {
+          try { fs.unlinkSync(finalPath); } catch {}
+        }
         
-        realizedSteps.push({
+        recordStep({
           op: 'export',
+          step: i,
           src: step.src,
           ...exported,
           duration: Date.now() - stepStart
         });
         
-        continue;
+        return [];
       }
 
       // Handle measure
@@ -102,37 +809,75 @@ export async function executePipeline(pipeline, params = {}, tmpDir = '/tmp') {
         const srcPath = images.get(step.src);
         if (!srcPath) throw new Error(`measure: missing src "${step.src}"`);
 
-        // Get current dimensions
-        const { stdout: dims } = await execFileAsync('magick', ['identify', '-format', '%w %h', srcPath]);
-        const [w, h] = dims.trim().split(' ').map(Number);
-        
-        // Get trim dimensions
-        const trimPath = path.join(tmpDir, `trim-${Date.now()}-${i}`);
-        await execFileAsync('magick', [srcPath, '-trim', '+repage', trimPath], { timeout: 20000 });
-        const { stdout: trimDims } = await execFileAsync('magick', ['identify', '-format', '%w %h', trimPath]);
-        const [trimW, trimH] = trimDims.trim().split(' ').map(Number);
-        
-        // Store in vars
-        vars.w = w;
-        vars.h = h;
-        vars.trimW = trimW;
-        vars.trimH = trimH;
-        
-        // Clean up trim temp
-        try { fs.unlinkSync(trimPath); } catch {}
+        const { stdout } = await execFileAsync('magick', measureCommand(srcPath), { timeout: 20000 });
+        const measured = parseMeasurement(stdout, fs.statSync(srcPath).size);
+
+        // Namespaced under out (m.trimW), plus the legacy flat aliases
+        scope[step.out] = measured;
+        for (const name of MEASURE_VARS) scope[name] = measured[name];
         
-        realizedSteps.push({
+        recordStep({
           op: 'measure',
+          step: i,
           src: step.src,
-          measured: { w, h, trimW, trimH },
+          out: step.out,
+          measured,
           duration: Date.now() - stepStart
         });
         
-        continue;
+        return [];
+      }
+
+      // Handle metadata: a read sets variables; strip and write edit a copy of src
+      if (step.op === 'metadata') {
+        const srcPath = images.get(step.src);
+        if (!srcPath) throw new Error(`metadata: missing src "${step.src}"`);
+
+        if (step.mode === 'read') {
+          const metadata = await readMetadata(srcPath);
+          scope[step.out] = metadata;
+          recordStep({
+            op: 'metadata',
+            step: i,
+            src: step.src,
+            out: step.out,
+            mode: 'read',
+            metadata,
+            duration: Date.now() - stepStart
+          });
+          return [];
+        }
+
+        const outputPath = tmpPath('step', i, path.extname(srcPath));
+        fs.copyFileSync(srcPath, outputPath);
+        if (step.mode === 'strip') await stripMetadata(outputPath, step.keep || []);
+        else await writeMetadata(outputPath, step.fields);
+
+        addImage(step.out, outputPath, () => { try { fs.unlinkSync(outputPath); } catch {} });
+        recordStep({
+          op: 'metadata',
+          step: i,
+          src: step.src,
+          out: step.out,
+          mode: step.mode,
+          duration: Date.now() - stepStart
+        });
+        return [step.out];
+      }
+
+      // colorManage assigns its "from" profile only to images without an embedded one
+      const context = {};
+      if (step.op === 'colorManage' && !step.ignoreEmbedded && images.has(step.src)) {
+        context.hasProfile = await hasIccProfile(images.get(step.src));
+      }
+      // smartCrop analyzes its source for the crop box, which later steps may read
+      if (step.op === 'smartCrop' && images.has(step.src)) {
+        context.box = await findCropBox(images.get(step.src), step);
+        if (step.box) scope[step.box] = context.box;
       }
 
       // Build operation
-      const built = buildOperation(step, images, vars);
+      const built = buildOperation(step, images, scope, context);
       const { inputs, args } = built;
       
       if (!inputs || inputs.length === 0) {
@@ -140,28 +885,191 @@ export async function executePipeline(pipeline, params = {}, tmpDir = '/tmp') {
       }
 
       // Execute magick command
-      const ts = Date.now();
-      const outputPath = path.join(tmpDir, `step-${ts}-${i}${built.outputFormat ? '.' + built.outputFormat : ''}`);
+      const outputPath = tmpPath('step', i, built.outputFormat ? `.${built.outputFormat}` : '');
       
       const magickArgs = [...inputs, ...args, outputPath];
-      
-      await execFileAsync('magick', magickArgs, {
-        timeout: 60000,
-        maxBuffer: 100 * 1024 * 1024
-      });
+
+      // Reuse the output of an identical earlier step (same input content + args)
+      let stepKey = null;
+      let cached = false;
+      if (useStepCache) {
+        const inputHashes = [];
+        for (const input of inputs) inputHashes.push(await contentHash(input));
+        stepKey = stepCacheKey(step.op, inputHashes, args, built.outputFormat);
+        const outputHash = getCachedStep(stepKey, outputPath);
+        if (outputHash) {
+          fileHashes.set(outputPath, outputHash);
+          cached = true;
+        }
+      }
+
+      if (!cached) {
+        await execFileAsync('magick', magickArgs, {
+          timeout: 60000,
+          maxBuffer: 100 * 1024 * 1024
+        });
+
+        if (stepKey) {
+          try {
+            putCachedStep(stepKey, outputPath, await contentHash(outputPath));
+          } catch (e) {
+            console.error(`Step cache store failed: ${e.message}`);
+          }
+        }
+      }
 
       // Store output
+      const cleanup = () => { try { fs.unlinkSync(outputPath); } catch {} };
       if (step.out) {
-        images.set(step.out, outputPath);
-        cleanups.push(() => { try { fs.unlinkSync(outputPath); } catch {} });
+        addImage(step.out, outputPath, cleanup);
+      } else {
+        cleanup();
       }
 
-      realizedSteps.push({
+      recordStep({
         op: step.op,
+        step: i,
         out: step.out,
         args: magickArgs,
+        box: context.box,
+        cached: useStepCache ? cached : undefined,
+        duration: Date.now() - stepStart
+      });
+
+      return step.out ? [step.out] : [];
+    };
+
+    /**
+     * Run the branch of a switch selected by the first true case (else default)
+     * Branch steps run in order. Images the branch produced that not every branch
+     * produces are renamed under the switch (see scopeBody) and deleted afterwards;
+     * the rest are returned as the switch's outputs.
+     */
+    const runSwitch = async (step, i, slot, scope) => {
+      const stepStart = Date.now();
+      const branch = selectBranch(step, scope, i);
+      const outputs = switchOutputs(step);
+
+      const produced = [];
+      try {
+        const steps = branch ? scopeBody(branch.steps, i, outputs) : [];
+        for (let j = 0; j < steps.length; j++) {
+          produced.push(...await runStep(steps[j], `${i}.${branch.name}.${j}`, slot, scope));
+        }
+      } finally {
+        for (const name of produced) {
+          if (outputs.has(name)) continue;
+          imageCleanups.get(name)();
+          images.delete(name);
+        }
+      }
+
+      recordStep({
+        op: 'switch',
+        step: i,
+        branch: branch ? branch.name : null,
         duration: Date.now() - stepStart
       });
+
+      return produced.filter(name => outputs.has(name));
+    };
+
+    /**
+     * Run a forEach body once per item, one iteration after another
+     * Each iteration sees a copy of scope with the loop variable set, so measures
+     * inside it do not leak out. Images an iteration produces are renamed under it
+     * (see scopeBody) and deleted when it ends; exports are appended to the
+     * forEach's slot in item order.
+     */
+    const runForEach = async (step, i, slot, scope) => {
+      const stepStart = Date.now();
+      const items = resolveItems(step, scope, i);
+      if (!items) {
+        throw new Error(`Step ${i} (forEach): "items" references unknown vars: ${[...templateVars(step.items)].join(', ')}`);
+      }
+
+      for (let k = 0; k < items.length; k++) {
+        const iteration = { ...scope, [loopVar(step)]: items[k] };
+        const body = scopeBody(step.steps, `${i}.${k}`);
+        const produced = [];
+        try {
+          for (let j = 0; j < body.length; j++) {
+            produced.push(...await runStep(body[j], `${i}.${k}.${j}`, slot, iteration));
+          }
+        } finally {
+          for (const name of produced) {
+            imageCleanups.get(name)();
+            images.delete(name);
+          }
+        }
+      }
+
+      recordStep({
+        op: 'forEach',
+        step: i,
+        items: items.length,
+        duration: Date.now() - stepStart
+      });
+
+      return [];
+    };
+
+    /**
+     * Run an included profile's steps in order, with its own params as variables
+     * Its mapped outputs become images here; everything else it produced is deleted.
+     */
+    const runInclude = async (step, i, slot, scope) => {
+      const stepStart = Date.now();
+      const included = prepareInclude(step, i, scope, includes);
+      if (included.unresolved.length > 0) {
+        throw new Error(`Step ${i} (include): "params" reference unknown vars: ${included.unresolved.join(', ')}`);
+      }
+
+      const produced = [];
+      try {
+        for (let j = 0; j < included.steps.length; j++) {
+          const label = `${i}.${included.profile.name}.${j}`;
+          produced.push(...await runStep(included.steps[j], label, slot, included.vars));
+        }
+        for (const [name, scoped] of Object.entries(included.outputs)) {
+          const filePath = images.get(scoped);
+          addImage(name, filePath, fileCleanups.get(filePath));
+        }
+      } finally {
+        for (const name of produced) {
+          imageCleanups.get(name)();
+          images.delete(name);
+        }
+      }
+
+      recordStep({
+        op: 'include',
+        step: i,
+        profile: included.profile.name,
+        version: included.profile.version,
+        duration: Date.now() - stepStart
+      });
+
+      return Object.keys(included.outputs);
+    };
+
+    await runDag(deps, concurrency, async (i) => {
+      const step = pipeline.steps[i];
+      const produced = await processSlots.run(() => runStep(step, i, i));
+      for (const name of produced) {
+        if (!consumers.has(name)) release(name);
+      }
+      for (const name of stepReads(step)) release(name);
+    });
+
+    outputs.push(...exportSlots.filter(Boolean).flat());
+
+    if (cacheKey) {
+      try {
+        putCachedResult(cacheKey, outputs);
+      } catch (e) {
+        console.error(`Result cache store failed: ${e.message}`);
+      }
     }
 
     return {
@@ -169,7 +1077,9 @@ export async function executePipeline(pipeline, params = {}, tmpDir = '/tmp') {
       stats: {
         totalDuration: Date.now() - startTime,
         stepsExecuted: pipeline.steps.length,
-        imagesProcessed: images.size
+        imagesProcessed: images.size,
+        concurrency,
+        cache: cacheKey ? 'miss' : undefined
       },
       realizedSteps
     };
@@ -182,3 +1092,252 @@ export async function executePipeline(pipeline, params = {}, tmpDir = '/tmp') {
   }
 }
 
+
+/**
+ * Plan a pipeline without executing it (dry run)
+ * Validates, resolves ${var} templates and expressions from params and returns
+ * the magick argv each step would run, export targets and the image dependency
+ * graph. Steps with fields that depend on measure results list them as
+ * `unresolved` and have no commands. Steps with a "when" report whether they run
+ * (null if only known at run time); switches plan every branch and report the
+ * selected one. A forEach plans each iteration when its items are known. Include
+ * steps are planned from options.includes (see loadIncludes) when given. Inputs
+ * with raw or autoOrient options list the magick argv that decodes them.
+ * Nothing is downloaded, written or uploaded. Image paths appear as <name>.
+ * Returns: { valid, errors?, issues?, inputs, steps, exports, graph, unresolvedVars }
+ */
+export function planPipeline(pipeline, params = {}, options = {}) {
+  const validation = validatePipeline(pipeline);
+  if (!validation.valid) {
+    return { valid: false, errors: validation.errors, issues: validation.issues };
+  }
+
+  const vars = { ...params };
+  const images = new Map(); // name → placeholder path
+  const graph = {}; // image → { producedBy, consumedBy }
+  const steps = [];
+  const exports = [];
+
+  const placeholder = (name) => `<${name}>`;
+  const consume = (name, index) => {
+    if (graph[name]) graph[name].consumedBy.push(index);
+  };
+
+  const inputs = {};
+  for (const [name, spec] of Object.entries(pipeline.inputs)) {
+    const decode = buildInputDecode(spec);
+    inputs[name] = decode
+      ? { ...describeInput(spec), commands: [['magick', ...decode.defines, placeholder(name), ...decode.args, placeholder(`${name}-decoded`)]] }
+      : describeInput(spec);
+    images.set(name, placeholder(name));
+    graph[name] = { producedBy: 'input', consumedBy: [] };
+  }
+
+  const { deps } = buildStepGraph(pipeline.steps);
+
+  const unresolvedVars = new Set();
+
+  // Plan one step; i labels it ("2.cmyk.0" inside switch branches, "3.1.0" in
+  // iteration 1 of a forEach); scope holds the variables it sees
+  const planStep = (original, i, scope = vars) => {
+    if (!bodies(original)) {
+      for (const name of stepReads(original)) consume(name, i);
+    }
+
+    for (const name of referencedVars(original)) {
+      if (lookupVar(scope, name) === undefined) unresolvedVars.add(name);
+    }
+
+    if (original.op === 'switch') {
+      return planSwitch(original, i, scope);
+    }
+    if (original.op === 'include') {
+      return planInclude(original, i, scope);
+    }
+
+    // Whether the step runs, if its condition is already decidable from params
+    const condition = original.when !== undefined ? evaluateCondition(original.when, scope) : null;
+    const gate = condition
+      ? { when: original.when, runs: condition.type === 'boolean' ? condition.value : null }
+      : {};
+
+    if (original.op === 'forEach') {
+      return { ...planForEach(original, i, scope), ...gate };
+    }
+
+    // Fields waiting on measure results (or missing params) stay as written
+    const { step, unresolved } = resolveStep(original, scope);
+    const pending = unresolved.length > 0 ? { unresolved } : {};
+
+    if (step.op === 'export') {
+      const exported = step.as ? placeholder(`export-${i}.${step.as}`) : images.get(step.src);
+      const commands = step.as ? [['magick', images.get(step.src), ...buildExportArgs(step), exported]] : [];
+      if (step.metadata && step.metadata !== 'keep') {
+        const strip = { mode: 'strip', keep: step.metadata.keep };
+        commands.push(...metadataCommands(strip, exported).map(args => ['exiv2', ...args]));
+      }
+      const target = step.s3
+        ? {
+            s3: {
+              bucket: step.s3.bucket,
+              key: step.s3.key,
+              region: step.s3.region || 'us-east-1',
+              contentType: step.s3.contentType || step.contentType
+            }
+          }
+        : { response: true };
+      exports.push({ step: i, src: step.src, name: step.name, as: step.as, ...target });
+      return { index: i, op: 'export', src: step.src, commands, ...target, ...gate, ...pending };
+    }
+
+    if (step.op === 'measure') {
+      return {
+        index: i,
+        op: 'measure',
+        src: step.src,
+        out: step.out,
+        commands: [['magick', ...measureCommand(images.get(step.src))]],
+        sets: MEASURE_FIELDS.map(field => `${step.out}.${field}`),
+        ...gate
+      };
+    }
+
+    if (step.op === 'metadata') {
+      if (step.mode === 'read') {
+        return {
+          index: i,
+          op: 'metadata',
+          src: step.src,
+          out: step.out,
+          commands: metadataCommands(step, images.get(step.src)).map(args => ['exiv2', ...args]),
+          sets: METADATA_READ_FIELDS.map(field => `${step.out}.${field}`),
+          ...gate
+        };
+      }
+      // Strip and write run on a copy of src, shown as <out>
+      images.set(step.out, placeholder(step.out));
+      graph[step.out] = { producedBy: i, consumedBy: [] };
+      return {
+        index: i,
+        op: 'metadata',
+        src: step.src,
+        out: step.out,
+        commands: unresolved.length > 0
+          ? []
+          : metadataCommands(step, placeholder(step.out)).map(args => ['exiv2', ...args]),
+        ...gate,
+        ...pending
+      };
+    }
+
+    const out = step.out || `step-${i}`;
+    // smartCrop's box is only known at run time; the plan shows it as <box.w> etc.
+    const box = step.op === 'smartCrop'
+      ? { box: Object.fromEntries(['x', 'y', 'w', 'h'].map(field => [field, `<box.${field}>`])) }
+      : {};
+    const built = unresolved.length > 0 ? null : buildOperation(step, images, scope, box);
+    // colorManage probes for an embedded profile first; the plan assumes one is found
+    // smartCrop runs its analysis first
+    let probe = [];
+    if (built && step.op === 'colorManage' && !step.ignoreEmbedded) {
+      probe = [['magick', ...profilesCommand(images.get(step.src))]];
+    } else if (built && step.op === 'smartCrop') {
+      probe = smartCropCommands(images.get(step.src)).map(args => ['magick', ...args]);
+    }
+    images.set(out, placeholder(out));
+    graph[out] = { producedBy: i, consumedBy: [] };
+    return {
+      index: i,
+      op: step.op,
+      out: step.out,
+      commands: built ? [...probe, ['magick', ...built.inputs, ...built.args, placeholder(out)]] : [],
+      ...(step.op === 'smartCrop' && step.box ? { sets: CROP_FIELDS.map(field => `${step.box}.${field}`) } : {}),
+      ...gate,
+      ...pending
+    };
+  };
+
+  // Plan every branch of a switch, under its scoped image names
+  // decided: whether params alone select the branch; selected: its name (null: none runs)
+  const planSwitch = (step, i, scope) => {
+    let selected = null;
+    let decided = true;
+    try {
+      const branch = selectBranch(step, scope, i);
+      selected = branch ? branch.name : null;
+    } catch {
+      // A case depends on measure results; decided at run time
+      decided = false;
+    }
+
+    const outputs = switchOutputs(step);
+    const planBranch = (branch) => (
+      scopeBody(branch.steps, i, outputs).map((sub, j) => planStep(sub, `${i}.${branch.name}.${j}`, scope))
+    );
+    const branches = switchBranches(step);
+    return {
+      index: i,
+      op: 'switch',
+      decided,
+      selected,
+      cases: branches.slice(0, -1).map(branch => ({ name: branch.name, when: branch.when, steps: planBranch(branch) })),
+      default: step.default ? planBranch(branches.at(-1)) : undefined,
+      outputs: [...outputs]
+    };
+  };
+
+  // Plan an included profile's steps under its scoped image names
+  const planInclude = (step, i, scope) => {
+    const mapped = { index: i, op: 'include', profile: step.profile, inputs: step.inputs, outputs: step.outputs };
+    for (const name of Object.values(step.outputs || {})) {
+      images.set(name, placeholder(name));
+      graph[name] = { producedBy: i, consumedBy: [] };
+    }
+    if (!options.includes || !options.includes.has(step.profile)) return { ...mapped, steps: null };
+
+    const included = prepareInclude(step, i, scope, options.includes);
+    const version = included.profile.version;
+    if (included.unresolved.length > 0) {
+      return { ...mapped, version, steps: null, unresolved: ['params'] };
+    }
+    return {
+      ...mapped,
+      version,
+      params: included.vars,
+      steps: included.steps.map((sub, j) => planStep(sub, `${i}.${included.profile.name}.${j}`, included.vars))
+    };
+  };
+
+  // Plan each iteration of a forEach whose items are known from params, under
+  // its scoped image names
+  const planForEach = (step, i, scope) => {
+    const items = resolveItems(step, scope, i);
+    if (!items) {
+      return { index: i, op: 'forEach', as: loopVar(step), items: null, iterations: [], unresolved: ['items'] };
+    }
+    return {
+      index: i,
+      op: 'forEach',
+      as: loopVar(step),
+      items,
+      iterations: items.map((item, k) => {
+        const iteration = { ...scope, [loopVar(step)]: item };
+        const body = scopeBody(step.steps, `${i}.${k}`);
+        return { item, steps: body.map((sub, j) => planStep(sub, `${i}.${k}.${j}`, iteration)) };
+      })
+    };
+  };
+
+  pipeline.steps.forEach((step, i) => {
+    steps.push(planStep(step, i));
+  });
+
+  return {
+    valid: true,
+    inputs,
+    steps: steps.map(step => ({ ...step, dependsOn: [...deps[step.index]].sort((a, b) => a - b) })),
+    exports,
+    graph,
+    unresolvedVars: [...unresolvedVars]
+  };
+}
@@ -1,15 +1,25 @@
 /**
- * Profile loader and cache
- * Loads pipeline profiles from S3/GitHub with TTL caching
+ * Profile loader, cache and registry
+ * Loads pipeline profiles from S3/GitHub/HTTP/local files with TTL caching,
+ * and registers them by name for /v1/run
  */
 
 import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
 import { validateProfile } from './schema.js';
 
 const profileCache = new Map();
 const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes
 
+// Profiles bundled with the service
+export const DEFAULT_PROFILE_DIR = fileURLToPath(new URL('../profiles/', import.meta.url));
+
+// Registered profiles: name → source (loaded through the cache on use)
+const registry = new Map();
+
 /**
  * Load profile from S3
  */
@@ -23,7 +33,7 @@ async function loadFromS3(bucket, key, region = 'us-east-1') {
     chunks.push(chunk);
   }
   const text = Buffer.concat(chunks).toString('utf-8');
-  return JSON.parse(text);
+  return parseJson(text);
 }
 
 /**
@@ -51,64 +61,224 @@ async function loadFromHttp(url) {
 }
 
 /**
- * Load and cache profile
+ * Load profile from a local file
+ * URL format: file:///absolute/path/profile.json
+ */
+async function loadFromFile(url) {
+  const text = await fs.promises.readFile(fileURLToPath(url), 'utf-8');
+  return parseJson(text);
+}
+
+/**
+ * Parse a fetched document
+ * The parser's message quotes the text, so it is not passed on: a source is not
+ * necessarily a profile, and its content must not end up in error responses.
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error('Profile source is not valid JSON');
+  }
+}
+
+/**
+ * Fetch the raw JSON document at a source
+ */
+async function fetchSource(source) {
+  if (typeof source === 'string') {
+    if (source.startsWith('s3://')) {
+      const match = source.match(/^s3:\/\/([^/]+)\/(.+)$/);
+      if (!match) throw new Error('Invalid S3 URL format');
+      const [, bucket, key] = match;
+      return loadFromS3(bucket, key);
+    }
+    if (source.startsWith('github://')) return loadFromGitHub(source);
+    if (source.startsWith('http://') || source.startsWith('https://')) return loadFromHttp(source);
+    if (source.startsWith('file://')) return loadFromFile(source);
+    throw new Error('Unsupported profile source');
+  }
+  if (source && typeof source === 'object') {
+    if (source.bucket && source.key) {
+      return loadFromS3(source.bucket, source.key, source.region);
+    }
+    throw new Error('Invalid profile source object');
+  }
+  throw new Error('Profile source must be string or object');
+}
+
+/**
+ * True if a source reads with the server's own access (local files, S3 with its
+ * credentials) rather than what anyone could fetch
+ */
+function isPrivilegedSource(source) {
+  if (typeof source === 'string') return source.startsWith('file://') || source.startsWith('s3://');
+  return Boolean(source && typeof source === 'object');
+}
+
+/**
+ * True if a source document is a manifest ({ profiles: [...] }) rather than a single profile
+ */
+function isManifest(doc) {
+  return Boolean(doc) && Array.isArray(doc.profiles) && !doc.steps;
+}
+
+/**
+ * Identifier for a profile: "name@version", or just "name" if unversioned
+ */
+export function profileId(profile) {
+  return profile.version === undefined ? profile.name : `${profile.name}@${profile.version}`;
+}
+
+/**
+ * Split a "name[@version]" reference; "latest" or no version selects the latest
+ */
+export function parseProfileRef(ref) {
+  const at = ref.lastIndexOf('@');
+  if (at <= 0) return { name: ref, version: null };
+  const version = ref.slice(at + 1);
+  return { name: ref.slice(0, at), version: version === 'latest' ? null : version };
+}
+
+/**
+ * Compare two profile versions: dot-separated segments, numeric where possible
+ * Unversioned profiles sort below every versioned one.
+ */
+export function compareVersions(a, b) {
+  if (a === b) return 0;
+  if (a === undefined) return -1;
+  if (b === undefined) return 1;
+
+  const pa = String(a).split('.');
+  const pb = String(b).split('.');
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const x = pa[i] ?? '0';
+    const y = pb[i] ?? '0';
+    const nx = Number(x);
+    const ny = Number(y);
+    const diff = Number.isNaN(nx) || Number.isNaN(ny) ? x.localeCompare(y) : nx - ny;
+    if (diff !== 0) return Math.sign(diff);
+  }
+  return 0;
+}
+
+/**
+ * Pick the profile matching name and version (latest if version is null)
+ * Returns null if none matches
+ */
+export function selectProfile(profiles, name, version = null) {
+  let selected = null;
+  for (const profile of profiles) {
+    if (profile.name !== name) continue;
+    if (version !== null) {
+      if (String(profile.version) === String(version)) return profile;
+      continue;
+    }
+    if (!selected || compareVersions(profile.version, selected.version) > 0) selected = profile;
+  }
+  return selected;
+}
+
+/**
+ * Load and cache the profiles at a source
  * source can be:
  *  - s3://bucket/key
  *  - github://owner/repo/path/file.json[@ref]
  *  - https://example.com/profile.json
+ *  - file:///path/to/profile.json
  *  - { bucket, key, region } for S3 object
+ * The document is either a single profile or a manifest { profiles: [...] } whose
+ * entries are inline profiles or sources of single profiles. Entries that are
+ * file:// or S3 sources are only followed when trusted is set, for sources the
+ * server was configured with (PROFILE_DIR, PROFILE_SOURCE); a manifest passed in
+ * a request could otherwise read local files or private buckets.
+ * Errors identify entries by position and never quote fetched content.
+ * Returns: array of validated profiles
  */
-export async function loadProfile(source, ttl = DEFAULT_TTL) {
+export async function loadProfiles(source, ttl = DEFAULT_TTL, { trusted = false } = {}) {
   const cacheKey = typeof source === 'string' ? source : JSON.stringify(source);
-  
+
   // Check cache
   if (profileCache.has(cacheKey)) {
     const cached = profileCache.get(cacheKey);
     if (Date.now() - cached.timestamp < ttl) {
-      return cached.profile;
+      return cached.profiles;
     }
     profileCache.delete(cacheKey);
   }
 
-  // Load profile
-  let profile;
-  
-  if (typeof source === 'string') {
-    if (source.startsWith('s3://')) {
-      const match = source.match(/^s3:\/\/([^/]+)\/(.+)$/);
-      if (!match) throw new Error('Invalid S3 URL format');
-      const [, bucket, key] = match;
-      profile = await loadFromS3(bucket, key);
-    } else if (source.startsWith('github://')) {
-      profile = await loadFromGitHub(source);
-    } else if (source.startsWith('http://') || source.startsWith('https://')) {
-      profile = await loadFromHttp(source);
-    } else {
-      throw new Error('Unsupported profile source');
-    }
-  } else if (typeof source === 'object') {
-    if (source.bucket && source.key) {
-      profile = await loadFromS3(source.bucket, source.key, source.region);
-    } else {
-      throw new Error('Invalid profile source object');
+  // Load profiles
+  const doc = await fetchSource(source);
+  let profiles = [doc];
+
+  // Each manifest entry yields one profile, so profiles[i] is entry i + 1
+  const manifest = isManifest(doc);
+
+  if (manifest) {
+    profiles = [];
+    for (const [index, entry] of doc.profiles.entries()) {
+      const label = `Manifest entry ${index + 1}`;
+      if (entry && typeof entry === 'object' && entry.steps) {
+        profiles.push(entry);
+        continue;
+      }
+      if (!trusted && isPrivilegedSource(entry)) {
+        throw new Error(`${label}: file:// and S3 sources are only allowed in manifests configured via PROFILE_DIR or PROFILE_SOURCE`);
+      }
+      let referenced;
+      try {
+        referenced = await fetchSource(entry);
+      } catch (e) {
+        throw new Error(`${label}: ${e.message}`);
+      }
+      if (isManifest(referenced)) {
+        throw new Error(`${label} is itself a manifest`);
+      }
+      profiles.push(referenced);
     }
-  } else {
-    throw new Error('Profile source must be string or object');
   }
 
-  // Validate
-  const validation = validateProfile(profile);
-  if (!validation.valid) {
-    throw new Error(`Invalid profile: ${validation.errors.join('; ')}`);
+  // Validate; includes resolve to profiles of the same source, else already loaded registered ones
+  const resolveInclude = (ref) => {
+    const { name, version } = parseProfileRef(ref);
+    return selectProfile(profiles, name, version) || loadedRegisteredProfile(name, version);
+  };
+  const seen = new Set();
+  for (const [i, profile] of profiles.entries()) {
+    const validation = profile && typeof profile === 'object'
+      ? validateProfile(profile, { resolveInclude })
+      : { valid: false, errors: ['Profile must be an object'] };
+    if (!validation.valid) {
+      const label = manifest ? ` (manifest entry ${i + 1})` : '';
+      throw new Error(`Invalid profile${label}: ${validation.errors.join('; ')}`);
+    }
+    const id = profileId(profile);
+    if (seen.has(id)) throw new Error(`Duplicate profile "${id}" in source`);
+    seen.add(id);
   }
 
   // Cache
   profileCache.set(cacheKey, {
-    profile,
+    profiles,
     timestamp: Date.now()
   });
 
-  return profile;
+  return profiles;
+}
+
+/**
+ * Load a single profile from a source
+ * For manifests, ref ("name[@version]") selects the profile; without a ref the
+ * source must hold exactly one profile.
+ */
+export async function loadProfile(source, ref = null, ttl = DEFAULT_TTL, options = {}) {
+  const profiles = await loadProfiles(source, ttl, options);
+  if (!ref) {
+    if (profiles.length !== 1) throw new Error('Profile source holds several profiles; specify one');
+    return profiles[0];
+  }
+  const { name, version } = parseProfileRef(ref);
+  return selectProfile(profiles, name, version);
 }
 
 /**
@@ -132,13 +302,186 @@ export function clearProfileCache(source = null) {
 export function listCachedProfiles() {
   const profiles = [];
   for (const [key, value] of profileCache.entries()) {
-    profiles.push({
-      source: key,
-      name: value.profile.name,
-      cachedAt: new Date(value.timestamp).toISOString(),
-      age: Date.now() - value.timestamp
-    });
+    for (const profile of value.profiles) {
+      profiles.push({
+        source: key,
+        name: profile.name,
+        version: profile.version,
+        cachedAt: new Date(value.timestamp).toISOString(),
+        age: Date.now() - value.timestamp
+      });
+    }
+  }
+  return profiles;
+}
+
+// Registry keys: version as a string, '' for unversioned profiles
+const versionKey = (version) => (version === undefined ? '' : String(version));
+const keyVersion = (key) => (key === '' ? undefined : key);
+
+// Registry key of the latest registered version of a name
+function latestKey(versions) {
+  let latest = null;
+  for (const key of versions.keys()) {
+    if (latest === null || compareVersions(keyVersion(key), keyVersion(latest)) > 0) latest = key;
+  }
+  return latest;
+}
+
+/**
+ * A registered profile that is already in the cache, without loading anything
+ * Returns null if it is not registered or not cached.
+ */
+function loadedRegisteredProfile(name, version = null) {
+  const versions = registry.get(name);
+  if (!versions) return null;
+  const key = version === null ? latestKey(versions) : String(version);
+  const source = versions.get(key);
+  if (source === undefined) return null;
+  const cached = profileCache.get(typeof source === 'string' ? source : JSON.stringify(source));
+  return cached ? cached.profiles.find(p => p.name === name && versionKey(p.version) === key) || null : null;
+}
+
+/**
+ * Register a profile version under the source it was loaded from
+ * Returns the previously registered source, if any
+ */
+export function registerProfile(profile, source) {
+  if (!registry.has(profile.name)) registry.set(profile.name, new Map());
+  const versions = registry.get(profile.name);
+  const key = versionKey(profile.version);
+  const previous = versions.get(key);
+  versions.set(key, source);
+  return previous;
+}
+
+/**
+ * Load and register every profile at a source
+ */
+export async function registerSource(source) {
+  const profiles = await loadProfiles(source, DEFAULT_TTL, { trusted: true });
+  for (const profile of profiles) registerProfile(profile, source);
+  return profiles;
+}
+
+/**
+ * Scan a directory for *.json profiles and manifests and register each profile
+ * Files that fail to load or reuse an already registered name@version are reported, not thrown.
+ * Returns: { dir, registered: [ids], errors: [{ file, error }] }
+ */
+export async function loadProfileDir(dir = process.env.PROFILE_DIR || DEFAULT_PROFILE_DIR) {
+  const registered = [];
+  const errors = [];
+
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return { dir, registered, errors };
+    throw e;
+  }
+
+  for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+    const source = pathToFileURL(path.join(dir, file)).href;
+    try {
+      for (const profile of await loadProfiles(source, DEFAULT_TTL, { trusted: true })) {
+        const id = profileId(profile);
+        const existing = registry.get(profile.name)?.get(versionKey(profile.version));
+        if (existing && existing !== source) {
+          errors.push({ file, error: `duplicate profile "${id}" (already registered from ${existing})` });
+          continue;
+        }
+        registerProfile(profile, source);
+        registered.push(id);
+      }
+    } catch (e) {
+      errors.push({ file, error: e.message });
+    }
+  }
+
+  return { dir, registered, errors };
+}
+
+/**
+ * Load a registered profile by reference ("name", "name@latest" or "name@version")
+ * Returns null if nothing matching is registered, or if the registered source
+ * no longer holds it.
+ */
+export async function findProfile(ref) {
+  const { name, version } = parseProfileRef(ref);
+  const versions = registry.get(name);
+  if (!versions) return null;
+
+  const key = version === null ? latestKey(versions) : version;
+  const source = versions.get(key);
+  if (!source) return null;
+
+  const profiles = await loadProfiles(source, DEFAULT_TTL, { trusted: true });
+  const profile = profiles.find(p => p.name === name && versionKey(p.version) === key);
+  if (!profile) {
+    versions.delete(key);
+    if (versions.size === 0) registry.delete(name);
+    return null;
+  }
+  return profile;
+}
+
+/**
+ * Load every registered profile version
+ * Sources that fail to load are skipped.
+ */
+export async function loadRegisteredProfiles() {
+  const profiles = [];
+  for (const [name, versions] of registry.entries()) {
+    for (const [key, source] of versions.entries()) {
+      try {
+        const profile = (await loadProfiles(source, DEFAULT_TTL, { trusted: true })).find(p => p.name === name && versionKey(p.version) === key);
+        if (profile) profiles.push(profile);
+      } catch {}
+    }
   }
   return profiles;
 }
 
+/**
+ * Forget all registered profiles (e.g. before rescanning)
+ */
+export function clearRegistry() {
+  const count = registry.size;
+  registry.clear();
+  return { unregistered: count };
+}
+
+/**
+ * List every available profile: registered versions plus any others loaded ad hoc
+ * through a ?source= and still cached
+ * Each registered entry is flagged latest if a bare name resolves to it.
+ */
+export function listProfiles() {
+  const cached = listCachedProfiles();
+  const registeredSources = new Set();
+  const profiles = [];
+
+  for (const [name, versions] of registry.entries()) {
+    const latest = latestKey(versions);
+    for (const [key, source] of versions.entries()) {
+      registeredSources.add(source);
+      const entry = cached.find(c => c.source === source && c.name === name && versionKey(c.version) === key);
+      profiles.push({
+        name,
+        version: entry ? entry.version : keyVersion(key),
+        source,
+        registered: true,
+        latest: key === latest,
+        cachedAt: entry ? entry.cachedAt : null,
+        age: entry ? entry.age : null
+      });
+    }
+  }
+
+  for (const entry of cached) {
+    if (!registeredSources.has(entry.source)) profiles.push({ ...entry, registered: false });
+  }
+
+  return profiles;
+}
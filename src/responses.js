@@ -0,0 +1,156 @@
+/**
+ * Pipeline response writers
+ * Negotiates how export results are returned: raw binary, multipart/mixed, ZIP or JSON
+ */
+
+import crypto from 'crypto';
+import archiver from 'archiver';
+import { describeOutputs } from './io.js';
+
+// Formats a client can explicitly ask for via Accept
+const NEGOTIABLE_TYPES = ['application/zip', 'multipart/mixed', 'application/json'];
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/tiff': 'tiff',
+  'image/svg+xml': 'svg',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp',
+  'application/pdf': 'pdf'
+};
+
+/**
+ * Pick the response format listed in Accept (respecting q-values)
+ * Returns null when the client didn't name one explicitly (wildcard or no header)
+ */
+function negotiateFormat(req) {
+  const header = req.get('Accept') || '';
+  const listed = NEGOTIABLE_TYPES.filter(type => header.includes(type));
+  if (listed.length === 0) return null;
+  return req.accepts(listed) || null;
+}
+
+/**
+ * Unique, human-readable file name for a buffered output
+ * Uses the export step's name, falling back to its src image
+ */
+function outputFilenames(outputs) {
+  const used = new Set();
+  return outputs.map((o, i) => {
+    const base = (o.name || o.src || `output-${i}`).replace(/[^\w.-]+/g, '_');
+    const ext = EXTENSIONS[o.contentType] || 'bin';
+    let filename = `${base}.${ext}`;
+    for (let n = 2; used.has(filename); n++) filename = `${base}-${n}.${ext}`;
+    used.add(filename);
+    return filename;
+  });
+}
+
+// Part header value: control characters (CR/LF could inject headers or parts) and
+// non-ASCII become _
+function headerValue(value) {
+  return String(value).replace(/[^\x20-\x7e]+/g, '_');
+}
+
+/**
+ * JSON-safe outputs: metadata plus base64 `data` for buffered exports
+ */
+export function serializeOutputs(outputs) {
+  return outputs.map(o => ({
+    ...describeOutputs([o])[0],
+    data: o.buffer ? o.buffer.toString('base64') : undefined
+  }));
+}
+
+/**
+ * Send a pipeline result
+ * - Accept: application/zip → ZIP of buffered outputs plus manifest.json
+ * - Accept: multipart/mixed → one part per buffered output (JSON when there are none)
+ * - Accept: application/json → metadata with base64 bodies for buffered outputs
+ * - Otherwise: a single buffered output is sent raw, several as multipart/mixed,
+ *   and none (all exports went to S3) as JSON metadata
+ */
+export function sendPipelineResult(req, res, result, { startTime, headers = {}, extra = {} } = {}) {
+  const buffered = result.outputs.filter(o => o.buffer);
+  let format = negotiateFormat(req)
+    || (buffered.length === 0 ? 'application/json' : buffered.length === 1 ? 'raw' : 'multipart/mixed');
+  // A multipart body needs at least one part
+  if (format === 'multipart/mixed' && buffered.length === 0) format = 'application/json';
+
+  res.set('X-Processing-Time', String(Date.now() - startTime));
+  if (result.stats.cache) res.set('X-Cache', result.stats.cache.toUpperCase());
+  res.set(headers);
+
+  if (format === 'raw') {
+    res.set('Content-Type', buffered[0].contentType);
+    return res.send(buffered[0].buffer);
+  }
+
+  if (format === 'multipart/mixed') {
+    return sendMultipart(res, buffered);
+  }
+
+  if (format === 'application/zip') {
+    return sendZip(res, result, buffered, { startTime, extra });
+  }
+
+  res.json({
+    ...extra,
+    outputs: serializeOutputs(result.outputs),
+    stats: result.stats,
+    processingTime: Date.now() - startTime
+  });
+}
+
+/**
+ * multipart/mixed body, one part per buffered output
+ */
+function sendMultipart(res, outputs) {
+  const boundary = `pipeline-${crypto.randomBytes(12).toString('hex')}`;
+  const filenames = outputFilenames(outputs);
+  const chunks = [];
+
+  outputs.forEach((o, i) => {
+    const partHeaders = [
+      `--${boundary}`,
+      `Content-Type: ${o.contentType}`,
+      `Content-Disposition: attachment; filename="${filenames[i]}"`,
+      `Content-Length: ${o.buffer.length}`,
+      `X-Output-Src: ${headerValue(o.src)}`
+    ];
+    if (o.name) partHeaders.push(`X-Output-Name: ${headerValue(o.name)}`);
+    chunks.push(Buffer.from(partHeaders.join('\r\n') + '\r\n\r\n'), o.buffer, Buffer.from('\r\n'));
+  });
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+
+  res.set('Content-Type', `multipart/mixed; boundary=${boundary}`);
+  res.send(Buffer.concat(chunks));
+}
+
+/**
+ * ZIP archive of buffered outputs, with manifest.json describing every output
+ */
+function sendZip(res, result, buffered, { startTime, extra }) {
+  const filenames = outputFilenames(buffered);
+  const manifest = {
+    ...extra,
+    outputs: result.outputs.map(o => ({
+      ...describeOutputs([o])[0],
+      file: o.buffer ? filenames[buffered.indexOf(o)] : undefined
+    })),
+    stats: result.stats,
+    processingTime: Date.now() - startTime
+  };
+
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', 'attachment; filename="outputs.zip"');
+
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  archive.on('error', (e) => res.destroy(e));
+  archive.pipe(res);
+  buffered.forEach((o, i) => archive.append(o.buffer, { name: filenames[i] }));
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  archive.finalize();
+}
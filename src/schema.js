@@ -3,67 +3,377 @@
  * Defines the complete structure for image processing pipelines
  */
 
+import Ajv2020 from 'ajv/dist/2020.js';
+import { parseExpression } from './expressions.js';
+import { METADATA_FIELDS, METADATA_KEEP, METADATA_KEY_PATTERN } from './metadata.js';
+
+// Field schemas shared by operations (JSON Schema 2020-12)
+const TEMPLATE_PATTERN = '\\$\\{';
+const IMAGE = { type: 'string', minLength: 1, description: 'an image name' };
+const COLOR = { type: 'string', minLength: 1, description: 'an ImageMagick color, e.g. "white" or "#ffffff"' };
+const GRAVITY = {
+  type: 'string',
+  pattern: '^([Cc]enter|([Nn]orth|[Ss]outh)([Ee]ast|[Ww]est)?|[Ee]ast|[Ww]est)$|\\$\\{',
+  description: 'one of center, north, northeast, east, southeast, south, southwest, west, northwest'
+};
+const ASPECT = { type: 'string', pattern: '^\\d+(\\.\\d+)?:\\d+(\\.\\d+)?$|\\$\\{', description: 'an aspect ratio w:h, e.g. "3:4"' };
+const VARIABLE = { type: 'string', pattern: '^[A-Za-z_]\\w*$', description: 'a variable name (letters, digits and _)' };
+const CONDITION = { type: 'string', minLength: 1, format: 'expression', description: 'an expression; the step runs when it is true' };
+const STEPS = { $ref: '#/$defs/steps' };
+
+// One of a fixed list of strings, or a ${...} template resolved at run time
+const choice = (values) => ({ type: 'string', if: { pattern: TEMPLATE_PATTERN }, else: { enum: values } });
+
+// A number (or integer), or an expression string evaluated at run time
+const numeric = (type, range = {}) => ({ type: [type, 'string'], format: 'expression', ...range });
+
+const FORMATS = ['tiff', 'jpg', 'jpeg', 'png', 'webp'];
+const RESIZE_MODES = ['width', 'height', 'percent', 'fit'];
+const COLORSPACES = ['sRGB', 'RGB', 'CMYK', 'Gray'];
+const COMPOSITE_MODES = ['Over', 'Multiply', 'Screen', 'Overlay', 'CopyOpacity'];
+const RENDERING_INTENTS = ['perceptual', 'relative', 'saturation', 'absolute'];
+
+// Named ICC profiles → file names under ICC_PROFILE_DIR
+export const ICC_PROFILES = {
+  sRGB: 'sRGB.icc',
+  DisplayP3: 'DisplayP3.icc',
+  AdobeRGB: 'AdobeRGB1998.icc',
+  FOGRA39: 'CoatedFOGRA39.icc',
+  SWOP: 'USWebCoatedSWOP.icc'
+};
+const ICC_NAMES = Object.keys(ICC_PROFILES);
+
+// Metadata a strip keeps (see METADATA_KEEP)
+const METADATA_KEEP_LIST = { type: 'array', items: { enum: METADATA_KEEP }, uniqueItems: true };
+
+// Matches a metadata step of the given mode, for mode-specific rules
+const metadataMode = (mode) => ({ properties: { mode: { const: mode } }, required: ['mode'] });
+
+// An export's ICC handling: keep what is embedded, strip it, or convert to / embed a named profile
+const EXPORT_ICC = choice(['keep', 'strip', ...ICC_NAMES]);
+
+// RAW development options an input spec may carry; mapped to libraw defines by buildInputDecode
+const RAW_OPTIONS = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    whiteBalance: { enum: ['camera', 'auto'] },
+    outputColor: { enum: ['raw', 'sRGB', 'AdobeRGB', 'WideGamut', 'ProPhoto', 'XYZ', 'ACES'] },
+    interpolation: { enum: ['linear', 'vng', 'ppg', 'ahd', 'dcb', 'dht', 'aahd'] },
+    autoBrightness: { type: 'boolean' },
+    exposure: { type: 'number', minimum: -3, maximum: 3 },
+    bitDepth: { enum: [8, 16] }
+  }
+};
+
+// Placement and look of the text and watermark ops' overlay
+const OVERLAY = {
+  gravity: GRAVITY,
+  offset: {
+    type: 'object',
+    required: ['x', 'y'],
+    additionalProperties: false,
+    properties: { x: numeric('integer'), y: numeric('integer') },
+    description: 'an offset { x, y } in pixels from the gravity edge'
+  },
+  opacity: numeric('number', { minimum: 0, maximum: 1 }),
+  rotate: numeric('number', { minimum: -360, maximum: 360 }),
+  tile: { type: 'boolean' },
+  spacing: numeric('integer', { minimum: 0 })
+};
+const OVERLAY_NUMERIC = { 'offset.x': 'integer', 'offset.y': 'integer', opacity: 'number', rotate: 'number', spacing: 'integer' };
+
 // Supported operations
+// properties holds a JSON Schema per field; fields not listed are rejected.
+// rules holds if/then constraints between fields (e.g. per mode).
 export const OPERATIONS = {
   maskAlpha: {
     description: 'Apply alpha channel mask to an image',
     required: ['src', 'mask', 'out'],
-    optional: ['compress'],
+    properties: { src: IMAGE, mask: IMAGE, out: IMAGE, compress: { type: 'string', minLength: 1 } },
     defaults: { compress: 'lzw' }
   },
   measure: {
-    description: 'Measure image dimensions (exposes w, h, trimW, trimH)',
+    description: 'Measure image properties, exposed to later steps as <out>.w, <out>.h, <out>.trimW, <out>.trimH, <out>.trimX, <out>.trimY, <out>.dpi, <out>.dpiY, <out>.colorspace, <out>.hasAlpha, <out>.meanR/G/B, <out>.meanColor, <out>.fileSize',
     required: ['src', 'out'],
-    optional: []
+    properties: {
+      src: IMAGE,
+      out: VARIABLE
+    }
   },
   trimRepage: {
     description: 'Trim image and reset virtual canvas',
     required: ['src', 'out'],
-    optional: []
+    properties: { src: IMAGE, out: IMAGE }
+  },
+  autoOrient: {
+    description: 'Rotate and flip an image upright from its EXIF orientation, then reset the orientation tag',
+    required: ['src', 'out'],
+    properties: { src: IMAGE, out: IMAGE }
   },
   padToAspect: {
     description: 'Pad image to target aspect ratio with specified background',
     required: ['src', 'aspect', 'padPct', 'bg', 'out'],
-    optional: ['gravity'],
-    defaults: { gravity: 'center' }
+    properties: {
+      src: IMAGE,
+      aspect: ASPECT,
+      padPct: numeric('number', { minimum: 0, exclusiveMaximum: 1 }),
+      bg: COLOR,
+      gravity: GRAVITY,
+      out: IMAGE
+    },
+    defaults: { gravity: 'center' },
+    numeric: { padPct: 'number' }
+  },
+  smartCrop: {
+    description: 'Crop to an aspect ratio (or width x height) around the subject: a focal point, the alpha bounding box, or the most detailed region; box exposes <box>.x, <box>.y, <box>.w, <box>.h, <box>.method',
+    required: ['src', 'out'],
+    properties: {
+      src: IMAGE,
+      aspect: ASPECT,
+      width: numeric('integer', { minimum: 1 }),
+      height: numeric('integer', { minimum: 1 }),
+      focus: {
+        type: 'object',
+        required: ['x', 'y'],
+        additionalProperties: false,
+        properties: { x: numeric('number', { minimum: 0, maximum: 1 }), y: numeric('number', { minimum: 0, maximum: 1 }) },
+        description: 'a focal point { x, y }, as fractions of the width and height'
+      },
+      padPct: numeric('number', { minimum: 0, exclusiveMaximum: 1 }),
+      box: VARIABLE,
+      out: IMAGE
+    },
+    rules: [
+      // Each branch lists its properties, as strict JSON Schema validators require
+      {
+        anyOf: [
+          { properties: { aspect: true }, required: ['aspect'] },
+          { properties: { width: true, height: true }, required: ['width', 'height'] }
+        ],
+        description: 'given "aspect", or both "width" and "height"'
+      }
+    ],
+    defaults: { padPct: 0.05 },
+    numeric: { width: 'integer', height: 'integer', 'focus.x': 'number', 'focus.y': 'number', padPct: 'number' }
   },
   flatten: {
     description: 'Flatten image layers with background color',
     required: ['src', 'bg', 'out'],
-    optional: []
+    properties: { src: IMAGE, bg: COLOR, out: IMAGE }
   },
   resize: {
     description: 'Resize image',
     required: ['src', 'mode', 'value', 'out'],
-    optional: ['filter'],
-    modes: ['width', 'height', 'percent', 'fit']
+    properties: {
+      src: IMAGE,
+      mode: choice(RESIZE_MODES),
+      value: numeric('integer', { minimum: 1 }),
+      filter: { type: 'string', minLength: 1 },
+      out: IMAGE
+    },
+    numeric: { value: 'integer' }
   },
   colorspace: {
     description: 'Convert colorspace',
     required: ['src', 'space', 'out'],
-    optional: [],
-    spaces: ['sRGB', 'RGB', 'CMYK', 'Gray']
+    properties: { src: IMAGE, space: choice(COLORSPACES), out: IMAGE }
+  },
+  colorManage: {
+    description: 'Convert between ICC profiles with a rendering intent; the source is the embedded profile, or "from" for images without one',
+    required: ['src', 'to', 'out'],
+    properties: {
+      src: IMAGE,
+      from: choice(ICC_NAMES),
+      to: choice(ICC_NAMES),
+      ignoreEmbedded: { type: 'boolean' },
+      intent: choice(RENDERING_INTENTS),
+      blackPointCompensation: { type: 'boolean' },
+      out: IMAGE
+    },
+    defaults: { from: 'sRGB', ignoreEmbedded: false, intent: 'relative', blackPointCompensation: true }
+  },
+  metadata: {
+    description: 'Read, strip or write EXIF/IPTC/XMP metadata with exiv2; read exposes <out>.camera, <out>.captureDate, <out>.captureYear, <out>.orientation, ... to later steps',
+    required: ['src', 'mode', 'out'],
+    properties: {
+      src: IMAGE,
+      mode: { enum: ['read', 'strip', 'write'] },
+      keep: METADATA_KEEP_LIST,
+      fields: {
+        type: 'object',
+        minProperties: 1,
+        propertyNames: {
+          anyOf: [{ enum: Object.keys(METADATA_FIELDS) }, { pattern: METADATA_KEY_PATTERN }],
+          description: `a field (${Object.keys(METADATA_FIELDS).join(', ')}) or an exiv2 key such as "Xmp.dc.source"`
+        },
+        additionalProperties: { type: ['string', 'number'] }
+      },
+      out: IMAGE
+    },
+    // read sets variables under out; write needs fields; keep only applies to strip
+    rules: [
+      { if: metadataMode('read'), then: { properties: { out: VARIABLE, keep: false, fields: false } } },
+      { if: metadataMode('strip'), then: { properties: { fields: false } } },
+      { if: metadataMode('write'), then: { required: ['fields'], properties: { keep: false } } }
+    ]
   },
   format: {
     description: 'Convert format',
     required: ['src', 'format', 'out'],
-    optional: ['quality', 'compress', 'density'],
-    formats: ['tiff', 'jpg', 'jpeg', 'png', 'webp']
+    properties: {
+      src: IMAGE,
+      format: choice(FORMATS),
+      quality: numeric('integer', { minimum: 1, maximum: 100 }),
+      compress: { type: 'string', minLength: 1 },
+      density: numeric('number', { exclusiveMinimum: 0 }),
+      out: IMAGE
+    },
+    numeric: { quality: 'integer', density: 'number' }
   },
   composite: {
     description: 'Composite two images',
     required: ['base', 'overlay', 'mode', 'out'],
-    optional: ['gravity', 'geometry'],
-    modes: ['Over', 'Multiply', 'Screen', 'Overlay', 'CopyOpacity']
+    properties: {
+      base: IMAGE,
+      overlay: IMAGE,
+      mode: choice(COMPOSITE_MODES),
+      gravity: GRAVITY,
+      geometry: { type: 'string', minLength: 1, description: 'an offset such as "+10+20"' },
+      out: IMAGE
+    }
+  },
+  text: {
+    description: 'Draw text onto an image, placed by gravity and offset or tiled; ${param} templates in text give per-product captions',
+    required: ['src', 'text', 'out'],
+    properties: {
+      src: IMAGE,
+      text: { type: 'string', minLength: 1 },
+      font: { type: 'string', pattern: '^\\w[\\w .-]*$', description: 'a font name, e.g. "DejaVu-Sans" (see magick -list font)' },
+      size: numeric('number', { exclusiveMinimum: 0 }),
+      color: COLOR,
+      ...OVERLAY,
+      out: IMAGE
+    },
+    defaults: { size: 36, color: 'black', gravity: 'center', opacity: 1, rotate: 0, tile: false, spacing: 0 },
+    numeric: { size: 'number', ...OVERLAY_NUMERIC }
+  },
+  watermark: {
+    description: 'Stamp an image (mark) onto another, placed by gravity and offset or tiled, optionally scaled to a fraction of its width',
+    required: ['src', 'mark', 'out'],
+    properties: {
+      src: IMAGE,
+      mark: IMAGE,
+      scale: numeric('number', { exclusiveMinimum: 0, maximum: 1 }),
+      ...OVERLAY,
+      out: IMAGE
+    },
+    defaults: { gravity: 'southeast', opacity: 0.5, rotate: 0, tile: false, spacing: 0 },
+    numeric: { scale: 'number', ...OVERLAY_NUMERIC }
+  },
+  switch: {
+    description: 'Run the steps of the first case whose "when" holds, else "default"; images produced by every branch are available afterwards',
+    required: ['cases'],
+    properties: {
+      cases: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['name', 'when', 'steps'],
+          properties: { name: { type: 'string', minLength: 1 }, when: CONDITION, steps: STEPS },
+          additionalProperties: false
+        }
+      },
+      default: STEPS
+    },
+    conditional: false
+  },
+  forEach: {
+    description: 'Run "steps" once per value of "items" (an array, or "${param}" naming an array param), with the value available as the variable named by "as"',
+    required: ['items', 'steps'],
+    properties: {
+      items: {
+        type: ['array', 'string'],
+        pattern: '^\\$\\{\\w+(\\.\\w+)*\\}$',
+        description: 'an array, or a single "${param}" reference'
+      },
+      as: VARIABLE,
+      steps: { type: 'array', ...STEPS, minItems: 1 }
+    },
+    defaults: { as: 'item' }
+  },
+  include: {
+    description: 'Run a registered profile ("name[@version]") as a sub-pipeline; "inputs" maps its inputs to images here, "outputs" maps its images to new names here, "params" are passed to it',
+    required: ['profile'],
+    properties: {
+      profile: { type: 'string', pattern: '^[^@${}]+(@[^@${}]+)?$', description: 'a profile name, optionally with @version' },
+      inputs: { type: 'object', additionalProperties: IMAGE },
+      outputs: { type: 'object', additionalProperties: IMAGE },
+      params: { type: 'object' }
+    },
+    conditional: false
   },
   export: {
     description: 'Export image to response or S3',
     required: ['src'],
-    optional: ['as', 'tiff', 'jpg', 'png', 'webp', 's3', 'contentType', 'metadata'],
-    formats: ['tiff', 'jpg', 'jpeg', 'png', 'webp']
+    properties: {
+      src: IMAGE,
+      as: choice(FORMATS),
+      name: { type: 'string', pattern: '^[^\\x00-\\x1f\\x7f]*$', description: 'a label without control characters' },
+      tiff: {
+        type: 'object',
+        properties: { compress: { type: 'string', minLength: 1 }, colorspace: { type: 'string', minLength: 1 }, icc: EXPORT_ICC },
+        additionalProperties: false
+      },
+      jpg: { type: 'object', properties: { quality: numeric('integer', { minimum: 1, maximum: 100 }), icc: EXPORT_ICC }, additionalProperties: false },
+      jpeg: { type: 'object', properties: { quality: numeric('integer', { minimum: 1, maximum: 100 }), icc: EXPORT_ICC }, additionalProperties: false },
+      png: { type: 'object', properties: { compression: numeric('integer', { minimum: 0, maximum: 100 }) }, additionalProperties: false },
+      webp: { type: 'object', properties: { quality: numeric('integer', { minimum: 1, maximum: 100 }) }, additionalProperties: false },
+      s3: {
+        type: 'object',
+        required: ['key'],
+        properties: {
+          bucket: { type: 'string', minLength: 1 },
+          key: { type: 'string', minLength: 1 },
+          region: { type: 'string', minLength: 1 },
+          accessKeyId: { type: 'string' },
+          secretAccessKey: { type: 'string' },
+          contentType: { type: 'string' },
+          acl: { type: 'string' },
+          metadata: { type: 'object', additionalProperties: { type: 'string' } }
+        },
+        additionalProperties: false
+      },
+      contentType: { type: 'string', minLength: 1 },
+      metadata: {
+        description: '"keep", "strip", or { "keep": [...] } to strip all but those',
+        anyOf: [
+          { enum: ['keep', 'strip'] },
+          { type: 'object', required: ['keep'], properties: { keep: METADATA_KEEP_LIST }, additionalProperties: false }
+        ]
+      }
+    },
+    numeric: { 'jpg.quality': 'integer', 'jpeg.quality': 'integer', 'png.compression': 'integer', 'webp.quality': 'integer' }
   }
 };
 
+// Optional fields, listed alongside required ones in /v1/spec
+for (const def of Object.values(OPERATIONS)) {
+  def.optional = Object.keys(def.properties).filter(field => !def.required.includes(field));
+}
+
+// Step fields that reference images by name
+export const IMAGE_FIELDS = ['src', 'base', 'overlay', 'mask', 'mark'];
+
+// Step fields that are never templated: they define the step graph
+export const STRUCTURAL_FIELDS = ['op', 'out', ...IMAGE_FIELDS];
+
+// True for a string containing ${...} templates, resolved only at run time
+export function isTemplated(value) {
+  return typeof value === 'string' && value.includes('${');
+}
+
 // Input types
 export const INPUT_TYPES = {
   url: 'HTTP/HTTPS URL',
@@ -72,114 +382,628 @@ export const INPUT_TYPES = {
   multipart: 'Multipart form field name'
 };
 
+// An input given as an object; url, raw and autoOrient are import options
+const INPUT_OBJECT = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { enum: Object.keys(INPUT_TYPES) },
+    url: { type: 'string', pattern: '^https?://', description: 'an http(s) URL' },
+    raw: RAW_OPTIONS,
+    autoOrient: { type: 'boolean' }
+  }
+};
+
+// Supported profile param types
+export const PARAM_TYPES = {
+  string: 'Any string (optionally constrained by enum or pattern)',
+  number: 'Any finite number',
+  integer: 'Whole number',
+  boolean: 'true or false',
+  array: 'JSON array of values (e.g. sizes for forEach)'
+};
+
+const PARAM_FIELDS = ['type', 'required', 'default', 'enum', 'pattern', 'minimum', 'maximum', 'description'];
+const NUMERIC_PARAM_TYPES = ['number', 'integer'];
+
+// Expand a param declaration: "string" is shorthand for { type: "string", required: true }
+export function normalizeParamSpec(spec) {
+  if (typeof spec === 'string') return { type: spec, required: true };
+  const normalized = { ...spec };
+  if (normalized.required === undefined) normalized.required = normalized.default === undefined;
+  return normalized;
+}
+
+// Expand every declaration in a profile's params schema
+export function normalizeParamSchema(schema = {}) {
+  const normalized = {};
+  for (const [name, spec] of Object.entries(schema)) {
+    normalized[name] = normalizeParamSpec(spec);
+  }
+  return normalized;
+}
+
+// Check one value against a normalized declaration; returns an error message or null
+function checkParamValue(spec, value) {
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be an integer';
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'must be a boolean';
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return 'must be an array';
+      break;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `must be one of ${spec.enum.map(v => JSON.stringify(v)).join(', ')}`;
+  }
+  if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+    return `must match pattern ${spec.pattern}`;
+  }
+  if (spec.minimum !== undefined && value < spec.minimum) return `must be >= ${spec.minimum}`;
+  if (spec.maximum !== undefined && value > spec.maximum) return `must be <= ${spec.maximum}`;
+  return null;
+}
+
+// Validate a profile's params schema itself
+export function validateParamSchema(schema) {
+  const errors = [];
+
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    return { valid: false, errors: ['Profile "params" must be an object'] };
+  }
+
+  for (const [name, raw] of Object.entries(schema)) {
+    if (typeof raw !== 'string' && (typeof raw !== 'object' || raw === null)) {
+      errors.push(`Param "${name}": must be a type name or object`);
+      continue;
+    }
+
+    const spec = normalizeParamSpec(raw);
+    if (!PARAM_TYPES[spec.type]) {
+      errors.push(`Param "${name}": unknown type "${spec.type}"`);
+      continue;
+    }
+    for (const field of Object.keys(spec)) {
+      if (!PARAM_FIELDS.includes(field)) errors.push(`Param "${name}": unknown field "${field}"`);
+    }
+    if (spec.enum !== undefined && (!Array.isArray(spec.enum) || spec.enum.length === 0)) {
+      errors.push(`Param "${name}": "enum" must be a non-empty array`);
+      continue;
+    }
+    if (spec.pattern !== undefined) {
+      if (spec.type !== 'string') {
+        errors.push(`Param "${name}": "pattern" only applies to strings`);
+        continue;
+      }
+      try {
+        new RegExp(spec.pattern);
+      } catch (e) {
+        errors.push(`Param "${name}": invalid pattern (${e.message})`);
+        continue;
+      }
+    }
+    const bounds = ['minimum', 'maximum'].filter(field => spec[field] !== undefined);
+    if (bounds.length && !NUMERIC_PARAM_TYPES.includes(spec.type)) {
+      errors.push(`Param "${name}": "${bounds[0]}" only applies to numbers`);
+      continue;
+    }
+    const badBound = bounds.find(field => typeof spec[field] !== 'number' || !Number.isFinite(spec[field]));
+    if (badBound) {
+      errors.push(`Param "${name}": "${badBound}" must be a number`);
+      continue;
+    }
+    if (bounds.length === 2 && spec.minimum > spec.maximum) {
+      errors.push(`Param "${name}": "minimum" is greater than "maximum"`);
+      continue;
+    }
+    if (spec.default !== undefined) {
+      const problem = checkParamValue(spec, spec.default);
+      if (problem) errors.push(`Param "${name}": default ${problem}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Validate request params against a profile's params schema and apply defaults
+// Params the schema does not declare are passed through unchanged.
+// Returns: { valid, errors, params }
+export function validateParams(schema, params = {}) {
+  const errors = [];
+  const resolved = { ...params };
+
+  if (!schema) return { valid: true, errors, params: resolved };
+
+  for (const [name, spec] of Object.entries(normalizeParamSchema(schema))) {
+    const value = params[name];
+    if (value === undefined || value === null) {
+      if (spec.default !== undefined) {
+        resolved[name] = spec.default;
+      } else if (spec.required) {
+        errors.push(`Param "${name}": required`);
+      }
+      continue;
+    }
+    const problem = checkParamValue(spec, value);
+    if (problem) errors.push(`Param "${name}": ${problem}`);
+  }
+
+  return { valid: errors.length === 0, errors, params: resolved };
+}
+
 // Validate pipeline structure
+// Returns { valid, errors: [messages], issues: [{ pointer, message }] }; each
+// issue's pointer is the JSON pointer of the offending field (e.g. /steps/2/padPct).
 export function validatePipeline(pipeline) {
-  const errors = [];
+  const issues = [];
+  const done = () => ({ valid: issues.length === 0, errors: issues.map(issue => issue.message), issues });
   
   if (!pipeline || typeof pipeline !== 'object') {
-    return { valid: false, errors: ['Pipeline must be an object'] };
+    issues.push({ pointer: '', message: 'Pipeline must be an object' });
+    return done();
   }
 
   // Validate inputs
   if (!pipeline.inputs || typeof pipeline.inputs !== 'object') {
-    errors.push('Pipeline must have "inputs" object');
+    issues.push({ pointer: '/inputs', message: 'Pipeline must have "inputs" object' });
   } else {
     for (const [name, spec] of Object.entries(pipeline.inputs)) {
+      const pointer = `/inputs/${escapePointer(name)}`;
       if (typeof spec === 'string') {
         // Accept actual URLs or type declarations
         const isUrl = spec.startsWith('http://') || spec.startsWith('https://');
         const isTypeName = INPUT_TYPES[spec];
         if (!isUrl && !isTypeName) {
-          errors.push(`Input "${name}": unknown type "${spec}"`);
+          issues.push({ pointer, message: `Input "${name}": unknown type "${spec}"` });
         }
-      } else if (typeof spec === 'object') {
+      } else if (spec && typeof spec === 'object') {
         // Accept { type: 's3', ... } or { type: 'base64', ... }
         if (!spec.type || !INPUT_TYPES[spec.type]) {
-          errors.push(`Input "${name}": missing or invalid type`);
+          issues.push({ pointer: `${pointer}/type`, message: `Input "${name}": missing or invalid type` });
+        } else if (!inputValidator(spec)) {
+          // Import options (url, raw, autoOrient) come from the input JSON Schema
+          issues.push(...schemaIssues(inputValidator.errors, pointer)
+            .map(issue => ({ ...issue, message: `Input "${name}": ${issue.message}` })));
         }
       } else {
-        errors.push(`Input "${name}": must be string or object`);
+        issues.push({ pointer, message: `Input "${name}": must be string or object` });
       }
     }
   }
 
   // Validate steps
   if (!Array.isArray(pipeline.steps)) {
-    errors.push('Pipeline must have "steps" array');
+    issues.push({ pointer: '/steps', message: 'Pipeline must have "steps" array' });
   } else {
     const images = new Set(Object.keys(pipeline.inputs || {}));
-    
-    for (let i = 0; i < pipeline.steps.length; i++) {
-      const step = pipeline.steps[i];
-      
-      if (!step.op) {
-        errors.push(`Step ${i}: missing "op" field`);
-        continue;
-      }
+    validateSteps(pipeline.steps, images, issues);
+  }
 
-      const opDef = OPERATIONS[step.op];
-      if (!opDef) {
-        errors.push(`Step ${i}: unknown operation "${step.op}"`);
-        continue;
-      }
+  return done();
+}
 
-      // Check required fields
-      for (const field of opDef.required) {
-        if (step[field] === undefined) {
-          errors.push(`Step ${i} (${step.op}): missing required field "${field}"`);
-        }
-      }
+// Escape a key for use in a JSON pointer
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
 
-      // Validate source references
-      const srcFields = ['src', 'base', 'overlay', 'mask'];
-      for (const field of srcFields) {
-        if (step[field] && !images.has(step[field])) {
-          errors.push(`Step ${i} (${step.op}): "${field}" references unknown image "${step[field]}"`);
-        }
-      }
+// Validate a list of steps against the image names available to it
+// Names the steps produce are added to images. prefix labels nested steps
+// (e.g. "2.cmyk." for the cmyk case of step 2); pointer is the list's JSON pointer.
+function validateSteps(steps, images, issues, prefix = '', pointer = '/steps') {
+  for (let j = 0; j < steps.length; j++) {
+    const step = steps[j];
+    const i = `${prefix}${j}`;
+    const at = `${pointer}/${j}`;
 
-      // Track output if specified
-      if (step.out) {
-        if (images.has(step.out)) {
-          errors.push(`Step ${i} (${step.op}): output "${step.out}" conflicts with existing image`);
-        }
-        images.add(step.out);
+    if (!step || !step.op) {
+      issues.push({ pointer: `${at}/op`, message: `Step ${i}: missing "op" field` });
+      continue;
+    }
+
+    if (!OPERATIONS[step.op]) {
+      issues.push({ pointer: `${at}/op`, message: `Step ${i}: unknown operation "${step.op}"` });
+      continue;
+    }
+
+    // Fields, types, ranges and enums come from the operation's JSON Schema
+    issues.push(...checkStepSchema(step, i, at));
+
+    const report = (field, message) => {
+      issues.push({ pointer: `${at}/${field}`, message: `Step ${i} (${step.op}): ${message}` });
+    };
+
+    // Validate source references
+    for (const field of IMAGE_FIELDS) {
+      if (typeof step[field] === 'string' && !images.has(step[field])) {
+        report(field, `"${field}" references unknown image "${step[field]}"`);
       }
+    }
 
-      // Validate format-specific fields
-      if (step.op === 'format' && !opDef.formats.includes(step.format)) {
-        errors.push(`Step ${i}: invalid format "${step.format}"`);
+    // Branches see the images available here; afterwards, only images every branch produces
+    if (step.op === 'switch') {
+      for (const name of validateSwitch(step, i, at, images, issues)) images.add(name);
+      continue;
+    }
+
+    // Loop steps see the images available here; what they produce stays inside the loop
+    if (step.op === 'forEach') {
+      if (Array.isArray(step.steps)) validateSteps(step.steps, new Set(images), issues, `${i}.each.`, `${at}/steps`);
+      continue;
+    }
+
+    // Only the mapped outputs of an included profile become images here
+    if (step.op === 'include') {
+      validateInclude(step, report, images);
+      continue;
+    }
+
+    // Track output if specified
+    if (step.out) {
+      if (images.has(step.out)) {
+        report('out', `output "${step.out}" conflicts with existing image`);
       }
-      if (step.op === 'colorspace' && !opDef.spaces.includes(step.space)) {
-        errors.push(`Step ${i}: invalid colorspace "${step.space}"`);
+      images.add(step.out);
+    }
+
+    // Templated values are checked once resolved, at run time
+    for (const field of STRUCTURAL_FIELDS) {
+      if (isTemplated(step[field])) {
+        report(field, `"${field}" cannot be templated`);
       }
-      if (step.op === 'resize' && !opDef.modes.includes(step.mode)) {
-        errors.push(`Step ${i}: invalid resize mode "${step.mode}"`);
+    }
+  }
+}
+
+// Validate a switch step's branches; returns the names every branch produces
+// A switch without default has an implicit empty branch, so it guarantees nothing.
+function validateSwitch(step, i, at, images, issues) {
+  const branches = [];
+
+  const names = new Set();
+  (Array.isArray(step.cases) ? step.cases : []).forEach((branch, c) => {
+    if (!branch || typeof branch !== 'object') return;
+    if (names.has(branch.name)) {
+      issues.push({ pointer: `${at}/cases/${c}/name`, message: `Step ${i} (switch): case ${c}: duplicate name "${branch.name}"` });
+    }
+    names.add(branch.name);
+    if (Array.isArray(branch.steps)) {
+      branches.push({ name: branch.name || String(c), steps: branch.steps, pointer: `${at}/cases/${c}/steps` });
+    }
+  });
+  branches.push({ name: 'default', steps: Array.isArray(step.default) ? step.default : [], pointer: `${at}/default` });
+
+  let common = null;
+  for (const branch of branches) {
+    const scope = new Set(images);
+    validateSteps(branch.steps, scope, issues, `${i}.${branch.name}.`, branch.pointer);
+    const produced = [...scope].filter(name => !images.has(name));
+    common = common === null ? new Set(produced) : new Set(produced.filter(name => common.has(name)));
+  }
+  return common || new Set();
+}
+
+// Validate an include step's name mappings against the images available here
+// The included profile itself is checked when it is loaded.
+function validateInclude(step, report, images) {
+  const entries = (field) => (step[field] && typeof step[field] === 'object' ? Object.entries(step[field]) : []);
+  for (const [name, image] of entries('inputs')) {
+    if (typeof image === 'string' && !images.has(image)) {
+      report(`inputs/${escapePointer(name)}`, `input "${name}" references unknown image "${image}"`);
+    }
+  }
+  for (const [name, image] of entries('outputs')) {
+    if (typeof image !== 'string') continue;
+    if (isTemplated(image)) {
+      report(`outputs/${escapePointer(name)}`, `output "${name}" cannot be templated`);
+    } else if (images.has(image)) {
+      report(`outputs/${escapePointer(name)}`, `output "${image}" conflicts with existing image`);
+    } else {
+      images.add(image);
+    }
+  }
+}
+
+/**
+ * Profile references of the include steps in a list of steps, including those
+ * nested in switch branches and forEach bodies
+ */
+export function includedProfiles(steps, found = new Set()) {
+  for (const step of Array.isArray(steps) ? steps : []) {
+    if (!step) continue;
+    if (step.op === 'include' && typeof step.profile === 'string') found.add(step.profile);
+    if (step.op === 'switch') {
+      for (const branch of Array.isArray(step.cases) ? step.cases : []) includedProfiles(branch && branch.steps, found);
+      includedProfiles(step.default, found);
+    }
+    if (step.op === 'forEach') includedProfiles(step.steps, found);
+  }
+  return found;
+}
+
+/**
+ * Named ICC profiles a list of steps uses (colorManage from/to and the export
+ * icc option), including those nested in switch branches and forEach bodies
+ * Templated names are left out; they are checked once resolved.
+ */
+export function iccProfileNames(steps, found = new Set()) {
+  const add = (name) => {
+    if (typeof name === 'string' && Object.hasOwn(ICC_PROFILES, name)) found.add(name);
+  };
+  for (const step of Array.isArray(steps) ? steps : []) {
+    if (!step) continue;
+    if (step.op === 'colorManage') {
+      add(step.from);
+      add(step.to);
+    }
+    if (step.op === 'export') {
+      for (const format of ['tiff', 'jpg', 'jpeg']) add(step[format] && step[format].icc);
+    }
+    if (step.op === 'switch') {
+      for (const branch of Array.isArray(step.cases) ? step.cases : []) iccProfileNames(branch && branch.steps, found);
+      iccProfileNames(step.default, found);
+    }
+    if (step.op === 'forEach') iccProfileNames(step.steps, found);
+  }
+  return found;
+}
+
+// Follow include references from a profile; returns the first cycle as a list of
+// "name@version" ids, or null. resolveInclude(ref) returns a profile or null
+// (references it cannot resolve are checked when the pipeline runs).
+function findIncludeCycle(profile, resolveInclude) {
+  const id = (p) => (p.version === undefined ? p.name : `${p.name}@${p.version}`);
+  const done = new Set();
+
+  const visit = (current, chain) => {
+    for (const ref of includedProfiles(current.steps)) {
+      const child = resolveInclude(ref);
+      if (!child || done.has(id(child))) continue;
+      if (chain.includes(id(child))) return [...chain, id(child)];
+      const cycle = visit(child, [...chain, id(child)]);
+      if (cycle) return cycle;
+    }
+    done.add(id(current));
+    return null;
+  };
+
+  return visit(profile, [id(profile)]);
+}
+
+// Ajv errors that only restate another error at the same field
+const REDUNDANT_KEYWORDS = ['if', 'propertyNames'];
+
+// Ajv errors whose alternatives' own errors are noise
+const ALTERNATIVE_KEYWORDS = ['anyOf', 'oneOf'];
+
+// Describe an Ajv type error; numeric fields also accept expression strings
+function describeType(type) {
+  const types = String(type).split(',');
+  const numeric = types.find(t => t === 'number' || t === 'integer');
+  if (numeric && types.includes('string')) return `must be ${numeric === 'integer' ? 'an integer' : 'a number'} or an expression`;
+  return `must be ${types.join(' or ')}`;
+}
+
+/**
+ * Ajv instance for this API's schemas
+ * Knows the "expression" format used by numeric and condition fields.
+ */
+export function createAjv() {
+  const ajv = new Ajv2020({ allErrors: true, allowUnionTypes: true, verbose: true });
+  ajv.addFormat('expression', (value) => isTemplated(value) || parseExpression(value).valid);
+  return ajv;
+}
+
+/**
+ * Turn Ajv errors (from a createAjv validator) into issues: [{ pointer, message }]
+ * pointer is the offending field's JSON pointer under base; messages name the
+ * field by its dotted path within the validated value.
+ */
+export function schemaIssues(errors, base = '') {
+  const alternatives = errors.filter(e => ALTERNATIVE_KEYWORDS.includes(e.keyword)).map(e => `${e.schemaPath}/`);
+  const relevant = errors.filter(e =>
+    !REDUNDANT_KEYWORDS.includes(e.keyword) && !alternatives.some(prefix => e.schemaPath.startsWith(prefix))
+  );
+  // A wrong type makes every other error at the same field noise
+  const mistyped = new Set(relevant.filter(e => e.keyword === 'type').map(e => e.instancePath));
+
+  return relevant
+    .filter(e => e.keyword === 'type' || !mistyped.has(e.instancePath))
+    .map(e => {
+      let path = e.instancePath;
+      if (e.propertyName !== undefined) path += `/${escapePointer(e.propertyName)}`;
+      if (e.keyword === 'required') path += `/${escapePointer(e.params.missingProperty)}`;
+      if (e.keyword === 'additionalProperties') path += `/${escapePointer(e.params.additionalProperty)}`;
+      const field = path.slice(1).split('/').map(k => k.replace(/~1/g, '/').replace(/~0/g, '~')).join('.');
+      const subject = field ? `"${field}" ` : '';
+
+      let message;
+      switch (e.keyword) {
+        case 'required':
+          message = `missing required field "${field}"`;
+          break;
+        case 'additionalProperties':
+          message = `unknown field "${field}"`;
+          break;
+        case 'type':
+          message = `${subject}${describeType(e.params.type)}`;
+          break;
+        case 'enum':
+          message = `${subject}must be one of ${e.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+          break;
+        case 'pattern':
+          message = `${subject}must be ${e.parentSchema.description || `like ${e.params.pattern}`}`;
+          break;
+        case 'format':
+          message = `${subject.trimEnd()}: ${parseExpression(e.data).error}`;
+          break;
+        case 'false schema':
+          message = `${subject}is not allowed here`;
+          break;
+        case 'anyOf':
+        case 'oneOf':
+          message = `${subject}must be ${e.parentSchema.description || 'one of the allowed forms'}`;
+          break;
+        default:
+          message = `${subject}${e.message}`;
       }
+      return { pointer: `${base}${path}`, message };
+    });
+}
 
-      // Validate aspect ratio format
-      if (step.aspect) {
-        const parts = step.aspect.split(':');
-        if (parts.length !== 2 || isNaN(parts[0]) || isNaN(parts[1])) {
-          errors.push(`Step ${i}: invalid aspect ratio "${step.aspect}" (use w:h format)`);
-        }
+/**
+ * Check one step against its operation's JSON Schema
+ * Nested step lists are only checked to be arrays; validateSteps recurses into them.
+ * Returns issues; at is the step's JSON pointer.
+ */
+function checkStepSchema(step, i, at) {
+  const validate = stepValidators[step.op];
+  if (!validate || validate(step)) return [];
+  return schemaIssues(validate.errors, at)
+    .map(issue => ({ ...issue, message: `Step ${i} (${step.op}): ${issue.message}` }));
+}
+
+// Validate a step's field values against its operation's JSON Schema, e.g. once
+// templates and expressions have been resolved at run time
+// Returns error messages.
+export function validateStepValues(step, i) {
+  return checkStepSchema(step, i, `/steps/${i}`).map(issue => issue.message);
+}
+
+/**
+ * Build the JSON Schema (2020-12) document for pipelines and profiles
+ * With shallow, nested step lists (switch branches, forEach bodies) are only
+ * checked to be arrays of objects, so each step is validated once, by validateSteps.
+ */
+function buildJsonSchema({ id, shallow = false }) {
+  const defs = {
+    steps: shallow
+      ? { type: 'array', items: { type: 'object' } }
+      : { type: 'array', items: { $ref: '#/$defs/step' } },
+    step: {
+      type: 'object',
+      required: ['op'],
+      properties: { op: { enum: Object.keys(OPERATIONS) } },
+      allOf: Object.keys(OPERATIONS).map(op => ({
+        if: { properties: { op: { const: op } } },
+        then: { $ref: `#/$defs/${op}Step` }
+      }))
+    },
+    // Objects are checked field by field, so option errors name the field
+    input: {
+      if: { type: 'object' },
+      then: INPUT_OBJECT,
+      else: {
+        description: `an input type (${Object.keys(INPUT_TYPES).join(', ')}), an http(s) URL, or an object with "type"`,
+        anyOf: [
+          { type: 'string', enum: Object.keys(INPUT_TYPES) },
+          { type: 'string', pattern: '^https?://' }
+        ]
       }
+    },
+    param: {
+      description: `a param type (${Object.keys(PARAM_TYPES).join(', ')}) or a param spec object`,
+      anyOf: [
+        { type: 'string', enum: Object.keys(PARAM_TYPES) },
+        {
+          type: 'object',
+          required: ['type'],
+          properties: {
+            type: { enum: Object.keys(PARAM_TYPES) },
+            required: { type: 'boolean' },
+            default: {},
+            enum: { type: 'array', minItems: 1 },
+            pattern: { type: 'string' },
+            minimum: { type: 'number' },
+            maximum: { type: 'number' },
+            description: { type: 'string' }
+          },
+          additionalProperties: false
+        }
+      ]
     }
+  };
+
+  for (const [op, def] of Object.entries(OPERATIONS)) {
+    defs[`${op}Step`] = {
+      type: 'object',
+      description: def.description,
+      required: ['op', ...def.required],
+      properties: {
+        op: { const: op },
+        ...(def.conditional === false ? {} : { when: CONDITION }),
+        ...def.properties
+      },
+      ...(def.rules ? { allOf: def.rules } : {}),
+      additionalProperties: false
+    };
   }
 
-  return { valid: errors.length === 0, errors };
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: id,
+    title: 'Image pipeline or profile',
+    type: 'object',
+    required: ['inputs', 'steps'],
+    properties: {
+      name: { type: 'string', pattern: '^[^@]+$' },
+      version: { type: ['string', 'number'] },
+      description: { type: 'string' },
+      schemaVersion: { type: 'integer' },
+      inputs: { type: 'object', additionalProperties: { $ref: '#/$defs/input' } },
+      params: { type: 'object', additionalProperties: { $ref: '#/$defs/param' } },
+      steps: { $ref: '#/$defs/steps' }
+    },
+    $defs: defs
+  };
 }
 
+// Published JSON Schema for pipelines and profiles (GET /v1/spec/schema.json)
+export const PIPELINE_JSON_SCHEMA = buildJsonSchema({ id: 'urn:imagemagick-pipeline-api:pipeline' });
+
+// One compiled validator per operation, from the shallow schema
+const ajv = createAjv();
+const STEPS_SCHEMA_ID = 'urn:imagemagick-pipeline-api:steps';
+ajv.addSchema(buildJsonSchema({ id: STEPS_SCHEMA_ID, shallow: true }));
+const stepValidators = Object.fromEntries(
+  Object.keys(OPERATIONS).map(op => [op, ajv.getSchema(`${STEPS_SCHEMA_ID}#/$defs/${op}Step`)])
+);
+const inputValidator = ajv.compile(INPUT_OBJECT);
+
 // Validate profile structure
-export function validateProfile(profile) {
+// With resolveInclude (ref → profile or null), include steps are followed to detect cycles.
+export function validateProfile(profile, { resolveInclude = null } = {}) {
   const errors = [];
 
   if (!profile.name) errors.push('Profile must have "name"');
+  if (typeof profile.name === 'string' && profile.name.includes('@')) {
+    errors.push('Profile "name" must not contain "@"');
+  }
+  if (profile.version !== undefined && !['string', 'number'].includes(typeof profile.version)) {
+    errors.push('Profile "version" must be a string or number');
+  }
   if (!profile.steps) errors.push('Profile must have "steps" array');
+  if (profile.params !== undefined) {
+    errors.push(...validateParamSchema(profile.params).errors);
+  }
 
   const pipelineValidation = validatePipeline(profile);
   errors.push(...pipelineValidation.errors);
 
+  if (resolveInclude && pipelineValidation.valid && typeof profile.name === 'string') {
+    const cycle = findIncludeCycle(profile, resolveInclude);
+    if (cycle) errors.push(`Include cycle: ${cycle.join(' → ')}`);
+  }
+
   return { valid: errors.length === 0, errors };
 }
 
@@ -188,12 +1012,18 @@ export const SCHEMA = {
   version: 1,
   operations: OPERATIONS,
   inputTypes: INPUT_TYPES,
+  paramTypes: PARAM_TYPES,
+  iccProfiles: ICC_NAMES,
+  jsonSchema: PIPELINE_JSON_SCHEMA,
   examples: {
     maskWeb: {
       name: 'mask-web',
       description: 'Apply alpha mask, export TIFF with alpha and web JPG with white background',
       inputs: { original: 'url', alpha: 'url' },
-      params: { runId: 'string', base: 'string' },
+      params: {
+        runId: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+        base: 'string'
+      },
       steps: [
         { op: 'maskAlpha', src: 'original', mask: 'alpha', out: 'masked' },
         { op: 'measure', src: 'masked', out: 'm' },
@@ -1,6 +1,6 @@
 /**
  * Universal Image Pipeline API Server
- * Provides /v1/pipeline and /v1/run endpoints alongside legacy /mask and /process
+ * Provides /v1/pipeline, /v1/run, /v1/batch and /v1/jobs endpoints alongside legacy /mask and /process
  */
 
 import express from 'express';
@@ -9,16 +9,43 @@ import fs from 'fs';
 import { execFile } from 'child_process';
 import { promisify } from 'util';
 import path from 'path';
-import { executePipeline } from './pipeline.js';
-import { loadProfile, clearProfileCache, listCachedProfiles } from './profiles.js';
-import { SCHEMA } from './schema.js';
+import { executePipeline, planPipeline, loadIncludes } from './pipeline.js';
+import {
+  loadProfiles,
+  parseProfileRef,
+  selectProfile,
+  clearProfileCache,
+  loadProfileDir,
+  registerSource,
+  findProfile,
+  clearRegistry,
+  listProfiles,
+  loadRegisteredProfiles,
+  profileId
+} from './profiles.js';
+import {
+  SCHEMA, PIPELINE_JSON_SCHEMA, ICC_PROFILES, validatePipeline, validateParams, normalizeParamSchema, iccProfileNames
+} from './schema.js';
+import { iccProfileInstalled, iccProfilePath } from './operations.js';
+import { describeOutputs, withInputOptions } from './io.js';
+import { sendPipelineResult, serializeOutputs } from './responses.js';
+import { mapConcurrent } from './concurrency.js';
+import { enqueueJob, getJob, describeJob } from './jobs.js';
+import { deliverCallback, checkCallbackUrl } from './callbacks.js';
+import { multipartBody, claimUploads } from './uploads.js';
+import { OPENAPI_DOCUMENT, validateRequest, validateResponses } from './openapi.js';
 
 const execFileAsync = promisify(execFile);
 const app = express();
 
 app.use(express.json({ limit: '10mb' }));
 
+// Log JSON responses that drift from the OpenAPI document
+if (process.env.VALIDATE_RESPONSES === 'true') app.use(validateResponses);
+
 const TEMP_DIR = '/tmp/imagemagick-api';
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 2;
+const MAX_BATCH_ITEMS = Number(process.env.MAX_BATCH_ITEMS) || 500;
 
 // Ensure temp directory exists
 (async () => {
@@ -33,6 +60,155 @@ function authMiddleware(req, res, next) {
   next();
 }
 
+// True when the client asked for background execution (?async=true)
+function isAsync(req) {
+  return req.query.async === 'true' || req.query.async === '1';
+}
+
+// True when the client asked for a plan instead of execution (?dryRun=true)
+function isDryRun(req) {
+  return req.query.dryRun === 'true' || req.query.dryRun === '1';
+}
+
+// Answer with the planned commands; 400 if the pipeline is invalid or an
+// included profile cannot be loaded (profiles: see loadIncludes)
+async function respondWithPlan(res, pipeline, params, extra = {}, profiles = []) {
+  let plan;
+  try {
+    plan = planPipeline(pipeline, params);
+    if (plan.valid) plan = planPipeline(pipeline, params, { includes: await loadIncludes(pipeline.steps, profiles) });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  if (!plan.valid) {
+    return res.status(400).json({ error: 'invalid pipeline', details: plan.errors, issues: plan.issues });
+  }
+  res.json({ dryRun: true, ...extra, ...plan });
+}
+
+// Load the profile referenced by ?profile=name[@version] (latest version by default)
+// With ?source= the profile is loaded from that source; otherwise it is looked up
+// among registered profiles (PROFILE_DIR, then PROFILE_SOURCE).
+// Returns { profile, profiles }, or { status, error } to send back; profiles are
+// the others loaded from ?source=, which its include steps may reference
+async function resolveRequestedProfile(req) {
+  const profileRef = req.query.profile;
+  const profileSource = req.query.source;
+
+  if (!profileRef) {
+    return { status: 400, error: 'profile query parameter required' };
+  }
+
+  if (profileSource) {
+    // Local files are only reachable through the server's own configuration
+    if (profileSource.startsWith('file://')) {
+      return { status: 400, error: 'file:// sources must be configured via PROFILE_DIR or PROFILE_SOURCE' };
+    }
+    const profiles = await loadProfiles(profileSource);
+    const { name, version } = parseProfileRef(profileRef);
+    const profile = selectProfile(profiles, name, version);
+    if (!profile) {
+      return { status: 404, error: `profile "${profileRef}" not found in source` };
+    }
+    return { profile, profiles };
+  }
+
+  let profile = await findProfile(profileRef);
+  if (!profile && process.env.PROFILE_SOURCE) {
+    await registerSource(process.env.PROFILE_SOURCE);
+    profile = await findProfile(profileRef);
+  }
+  if (!profile) {
+    return { status: 404, error: `profile "${profileRef}" not found` };
+  }
+
+  return { profile };
+}
+
+// Response fields identifying the profile that ran
+function profileFields(profile) {
+  return { profile: profile.name, profileVersion: profile.version };
+}
+
+// Register bundled/local profiles, plus PROFILE_SOURCE when configured
+async function registerProfiles() {
+  const scan = await loadProfileDir();
+  for (const { file, error } of scan.errors) {
+    console.warn(`Skipping profile ${path.join(scan.dir, file)}: ${error}`);
+  }
+
+  if (process.env.PROFILE_SOURCE) {
+    try {
+      const profiles = await registerSource(process.env.PROFILE_SOURCE);
+      scan.registered.push(...profiles.map(profileId));
+    } catch (e) {
+      console.warn(`Failed to load PROFILE_SOURCE: ${e.message}`);
+    }
+  }
+
+  return scan;
+}
+
+// executePipeline options derived from the query string (?cache=false bypasses the result cache),
+// plus the profiles include steps resolve among first (see resolveRequestedProfile)
+function pipelineOptions(req, profiles = []) {
+  return { cache: req.query.cache !== 'false', profiles };
+}
+
+// 400 body for a pipeline whose steps name ICC profiles that are not installed, else null
+// Templated names and included profiles are checked when their steps run.
+function missingIccProfiles(pipeline) {
+  const missing = [...iccProfileNames(pipeline.steps)].filter(name => !iccProfileInstalled(name));
+  if (missing.length === 0) return null;
+  return {
+    error: 'ICC profile not installed',
+    details: missing.map(name => `"${name}": ${ICC_PROFILES[name]} not found in ICC_PROFILE_DIR`)
+  };
+}
+
+// 400 body for a callback the service may not call (see checkCallbackUrl), else null
+async function callbackError(callback) {
+  const problem = callback ? await checkCallbackUrl(callback.url) : null;
+  return problem ? { error: 'invalid callback', details: [problem] } : null;
+}
+
+// Enqueue a pipeline and answer 202 with a pointer to the job status
+function respondWithJob(res, pipeline, params, options = {}) {
+  const validation = validatePipeline(pipeline);
+  if (!validation.valid) {
+    if (options.cleanup) options.cleanup();
+    return res.status(400).json({ error: 'invalid pipeline', details: validation.errors, issues: validation.issues });
+  }
+  const iccError = missingIccProfiles(pipeline);
+  if (iccError) {
+    if (options.cleanup) options.cleanup();
+    return res.status(400).json(iccError);
+  }
+
+  const job = enqueueJob(pipeline, params, TEMP_DIR, options);
+  const statusUrl = `/v1/jobs/${job.id}`;
+  res.status(202).set('Location', statusUrl).json({
+    jobId: job.id,
+    status: job.status,
+    statusUrl
+  });
+}
+
+// Fire-and-forget webhook for a synchronous run; delivery retries in the background
+function notifyCallback(callback, startTime, result, error, extra = {}) {
+  if (!callback) return;
+  if (error) {
+    deliverCallback(callback, 'pipeline.failed', { ...extra, error: error.message, stderr: error.stderr });
+    return;
+  }
+  deliverCallback(callback, 'pipeline.completed', {
+    ...extra,
+    outputs: describeOutputs(result.outputs),
+    stats: result.stats,
+    processingTime: Date.now() - startTime
+  });
+}
+
 /**
  * Health check
  */
@@ -51,50 +227,83 @@ app.get('/version', async (req, res) => {
 });
 
 /**
- * Schema documentation
+ * OpenAPI 3.1 document for every route, with the pipeline step schemas embedded
+ */
+app.get('/openapi.json', (req, res) => res.json(OPENAPI_DOCUMENT));
+
+/**
+ * Schema documentation, including each registered profile's inputs and param contract
+ */
+app.get('/v1/spec', async (req, res) => {
+  const profiles = await loadRegisteredProfiles();
+  res.json({
+    ...SCHEMA,
+    profiles: profiles.map(profile => ({
+      name: profile.name,
+      version: profile.version,
+      description: profile.description,
+      inputs: profile.inputs,
+      params: normalizeParamSchema(profile.params)
+    }))
+  });
+});
+
+/**
+ * JSON Schema (2020-12) for pipeline and profile documents, for editor autocomplete
  */
-app.get('/v1/spec', (req, res) => {
-  res.json(SCHEMA);
+app.get('/v1/spec/schema.json', (req, res) => {
+  res.type('application/schema+json').send(JSON.stringify(PIPELINE_JSON_SCHEMA, null, 2));
 });
 
 /**
  * POST /v1/pipeline
  * Execute a complete pipeline with inline definition
- * Body: { pipeline: {...}, params: {...} }
+ * Body: { pipeline: {...}, params: {...}, callback?: { url, secret } }
+ *   or multipart/form-data with those as JSON fields plus one file field per input
+ * Query: ?async=true to enqueue as a job and return 202 immediately, ?cache=false to bypass the result cache,
+ *   ?dryRun=true to return the planned magick commands without executing
  */
-app.post('/v1/pipeline', authMiddleware, async (req, res) => {
+app.post('/v1/pipeline', authMiddleware, multipartBody(TEMP_DIR), validateRequest, async (req, res) => {
   const startTime = Date.now();
+  const { pipeline, params = {}, callback } = req.body || {};
   
   try {
-    const { pipeline, params = {} } = req.body || {};
-    
-    if (!pipeline) {
-      return res.status(400).json({ error: 'pipeline required' });
+    if (isDryRun(req)) {
+      return respondWithPlan(res, pipeline, params);
     }
 
-    const result = await executePipeline(pipeline, params, TEMP_DIR);
-    
-    // Return first output as response if no S3 exports
-    const firstOutput = result.outputs[0];
-    if (firstOutput && firstOutput.buffer) {
-      res.set('Content-Type', firstOutput.contentType);
-      res.set('X-Processing-Time', String(Date.now() - startTime));
-      res.set('X-Steps-Executed', String(result.stats.stepsExecuted));
-      return res.send(firstOutput.buffer);
+    const refused = await callbackError(callback);
+    if (refused) {
+      return res.status(400).json(refused);
     }
 
-    // Otherwise return metadata
-    res.json({
-      outputs: result.outputs.map(o => ({
-        s3: o.s3,
-        contentType: o.contentType,
-        size: o.size
-      })),
-      stats: result.stats,
-      processingTime: Date.now() - startTime
+    if (isAsync(req)) {
+      return respondWithJob(res, pipeline, params, {
+        callback,
+        cleanup: claimUploads(req),
+        pipelineOptions: pipelineOptions(req)
+      });
+    }
+
+    const validation = validatePipeline(pipeline);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'invalid pipeline', details: validation.errors, issues: validation.issues });
+    }
+    const iccError = missingIccProfiles(pipeline);
+    if (iccError) {
+      return res.status(400).json(iccError);
+    }
+
+    const result = await executePipeline(pipeline, params, TEMP_DIR, pipelineOptions(req));
+    notifyCallback(callback, startTime, result);
+
+    sendPipelineResult(req, res, result, {
+      startTime,
+      headers: { 'X-Steps-Executed': String(result.stats.stepsExecuted) }
     });
     
   } catch (e) {
+    notifyCallback(callback, startTime, null, e);
     res.status(500).json({
       error: e.message,
       stderr: e.stderr,
@@ -104,69 +313,182 @@ app.post('/v1/pipeline', authMiddleware, async (req, res) => {
 });
 
 /**
- * POST /v1/run?profile=<name>
- * Execute a named profile loaded from configured source
- * Body: { inputs: {...}, params: {...} }
- * Query: ?profile=<name>&source=<s3://...>
+ * POST /v1/run?profile=<name>[@version]
+ * Execute a named profile: registered (PROFILE_DIR / PROFILE_SOURCE) or loaded from ?source=
+ * A bare name runs the latest version; X-Profile reports the version that ran
+ * Body: { inputs: {...}, params: {...}, callback?: { url, secret } }
+ *   or multipart/form-data with those as JSON fields plus one file field per input
+ * Query: ?profile=<name>[@version]&source=<s3://...>&async=true&cache=false&dryRun=true
  */
-app.post('/v1/run', authMiddleware, async (req, res) => {
+app.post('/v1/run', authMiddleware, multipartBody(TEMP_DIR), validateRequest, async (req, res) => {
   const startTime = Date.now();
+  const { inputs, params = {}, callback } = req.body || {};
+  // Until the profile resolves, callbacks identify it by the requested reference
+  let profileInfo = { profile: req.query.profile };
   
   try {
-    const profileName = req.query.profile;
-    const profileSource = req.query.source || process.env.PROFILE_SOURCE;
-    
-    if (!profileName) {
-      return res.status(400).json({ error: 'profile query parameter required' });
-    }
-    
-    if (!profileSource) {
-      return res.status(400).json({ error: 'profile source not configured (set PROFILE_SOURCE or pass ?source=...)' });
+    // Load profile
+    const { profile, profiles, status, error } = await resolveRequestedProfile(req);
+    if (!profile) {
+      return res.status(status).json({ error });
     }
+    profileInfo = profileFields(profile);
 
-    // Load profile
-    const profile = await loadProfile(profileSource);
-    
-    if (profile.name !== profileName) {
-      return res.status(404).json({ error: `profile "${profileName}" not found in source` });
+    // Check params against the profile's declared contract and fill in defaults
+    const checked = validateParams(profile.params, params);
+    if (!checked.valid) {
+      return res.status(400).json({ error: 'invalid params', details: checked.errors });
     }
 
-    const { inputs, params = {} } = req.body || {};
-    
-    if (!inputs) {
+    // A dry run may omit inputs and plan against the profile's declared ones
+    if (!inputs && !isDryRun(req)) {
       return res.status(400).json({ error: 'inputs required' });
     }
 
-    // Merge profile inputs with request inputs
+    // Merge profile inputs with request inputs (which take its declared import options)
     const mergedPipeline = {
       ...profile,
-      inputs
+      inputs: withInputOptions(profile.inputs, inputs) || profile.inputs
     };
 
-    const result = await executePipeline(mergedPipeline, params, TEMP_DIR);
-    
-    // Return first output as response if buffer present
-    const firstOutput = result.outputs[0];
-    if (firstOutput && firstOutput.buffer) {
-      res.set('Content-Type', firstOutput.contentType);
-      res.set('X-Processing-Time', String(Date.now() - startTime));
-      res.set('X-Profile', profileName);
-      return res.send(firstOutput.buffer);
+    if (isDryRun(req)) {
+      return respondWithPlan(res, mergedPipeline, checked.params, profileInfo, profiles);
     }
 
-    // Otherwise return metadata
-    res.json({
-      profile: profileName,
-      outputs: result.outputs.map(o => ({
-        s3: o.s3,
-        contentType: o.contentType,
-        size: o.size
-      })),
-      stats: result.stats,
-      processingTime: Date.now() - startTime
+    const refused = await callbackError(callback);
+    if (refused) {
+      return res.status(400).json(refused);
+    }
+
+    if (isAsync(req)) {
+      return respondWithJob(res, mergedPipeline, checked.params, {
+        meta: profileInfo,
+        callback,
+        cleanup: claimUploads(req),
+        pipelineOptions: pipelineOptions(req, profiles)
+      });
+    }
+
+    const iccError = missingIccProfiles(profile);
+    if (iccError) {
+      return res.status(400).json(iccError);
+    }
+
+    const result = await executePipeline(mergedPipeline, checked.params, TEMP_DIR, pipelineOptions(req, profiles));
+    notifyCallback(callback, startTime, result, null, profileInfo);
+
+    sendPipelineResult(req, res, result, {
+      startTime,
+      headers: { 'X-Profile': profileId(profile) },
+      extra: profileInfo
     });
     
   } catch (e) {
+    notifyCallback(callback, startTime, null, e, profileInfo);
+    res.status(500).json({
+      error: e.message,
+      stderr: e.stderr,
+      stack: process.env.NODE_ENV === 'development' ? e.stack : undefined
+    });
+  }
+});
+
+/**
+ * POST /v1/batch?profile=<name>[@version]
+ * Run one profile over many input sets with bounded concurrency
+ * Items' steps share the process-wide step limit with every other run.
+ * Body: { items: [{ inputs: {...}, params: {...} }, ...], concurrency?: n }
+ * Query: ?profile=<name>[@version]&source=<s3://...>&stream=true&cache=false
+ * A failing item never aborts the others. With ?stream=true (or
+ * Accept: application/x-ndjson) each item is written as an NDJSON line as it
+ * finishes, followed by a summary line.
+ */
+app.post('/v1/batch', authMiddleware, validateRequest, async (req, res) => {
+  const startTime = Date.now();
+  const { items, concurrency } = req.body || {};
+
+  try {
+    if (items.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({ error: `too many items (max ${MAX_BATCH_ITEMS})` });
+    }
+
+    const { profile, profiles, status, error } = await resolveRequestedProfile(req);
+    if (!profile) {
+      return res.status(status).json({ error });
+    }
+
+    // Check every item's params up front, so a batch is rejected before any item runs
+    const checkedParams = [];
+    const paramErrors = [];
+    items.forEach((item, index) => {
+      const checked = validateParams(profile.params, item.params || {});
+      checkedParams.push(checked.params);
+      paramErrors.push(...checked.errors.map(e => `item ${index}: ${e}`));
+    });
+    if (paramErrors.length > 0) {
+      return res.status(400).json({ error: 'invalid params', details: paramErrors });
+    }
+
+    const iccError = missingIccProfiles(profile);
+    if (iccError) {
+      return res.status(400).json(iccError);
+    }
+
+    const limit = Math.max(1, Math.min(Number(concurrency) || BATCH_CONCURRENCY, BATCH_CONCURRENCY));
+    const stream = req.query.stream === 'true' || (req.get('Accept') || '').includes('application/x-ndjson');
+
+    if (stream) {
+      res.set('Content-Type', 'application/x-ndjson');
+      res.set('X-Profile', profileId(profile));
+      res.flushHeaders();
+    }
+
+    const runItem = async (item, index) => {
+      const itemStart = Date.now();
+      let entry;
+      try {
+        const result = await executePipeline(
+          { ...profile, inputs: withInputOptions(profile.inputs, item.inputs) },
+          checkedParams[index],
+          TEMP_DIR,
+          pipelineOptions(req, profiles)
+        );
+        entry = {
+          index,
+          ok: true,
+          outputs: serializeOutputs(result.outputs),
+          stats: result.stats,
+          processingTime: Date.now() - itemStart
+        };
+      } catch (e) {
+        entry = { index, ok: false, error: e.message, stderr: e.stderr };
+      }
+      if (stream) res.write(JSON.stringify(entry) + '\n');
+      return entry;
+    };
+
+    const results = await mapConcurrent(items, limit, runItem);
+    const summary = {
+      ...profileFields(profile),
+      total: results.length,
+      succeeded: results.filter(r => r.ok).length,
+      failed: results.filter(r => !r.ok).length,
+      processingTime: Date.now() - startTime
+    };
+
+    if (stream) {
+      res.write(JSON.stringify({ done: true, ...summary }) + '\n');
+      return res.end();
+    }
+
+    res.set('X-Profile', profileId(profile));
+    res.json({ ...summary, results });
+
+  } catch (e) {
+    if (res.headersSent) {
+      res.write(JSON.stringify({ done: true, error: e.message }) + '\n');
+      return res.end();
+    }
     res.status(500).json({
       error: e.message,
       stderr: e.stderr,
@@ -175,34 +497,72 @@ app.post('/v1/run', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /v1/jobs/:id
+ * Job state, per-step progress, outputs and errors
+ */
+app.get('/v1/jobs/:id', authMiddleware, (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `job "${req.params.id}" not found` });
+  }
+  res.json(describeJob(job));
+});
+
+/**
+ * GET /v1/jobs/:id/outputs/:index
+ * Download a buffered (non-S3) output of a finished job
+ */
+app.get('/v1/jobs/:id/outputs/:index', authMiddleware, (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `job "${req.params.id}" not found` });
+  }
+
+  const output = job.outputs[Number(req.params.index)];
+  if (!output || !output.buffer) {
+    return res.status(404).json({ error: `output ${req.params.index} not available` });
+  }
+
+  res.set('Content-Type', output.contentType);
+  res.send(output.buffer);
+});
+
 /**
  * POST /admin/reload
- * Clear profile cache
+ * Clear profile cache; without a source, also rescan PROFILE_DIR and PROFILE_SOURCE
  */
-app.post('/admin/reload', authMiddleware, async (req, res) => {
+app.post('/admin/reload', authMiddleware, validateRequest, async (req, res) => {
   const { source } = req.body || {};
   const result = clearProfileCache(source);
-  res.json({ ok: true, ...result });
+  if (source) {
+    return res.json({ ok: true, ...result });
+  }
+
+  try {
+    clearRegistry();
+    const { registered, errors } = await registerProfiles();
+    res.json({ ok: true, ...result, registered, errors });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
 /**
  * GET /admin/profiles
- * List cached profiles
+ * List available profiles (registered and ad-hoc cached)
  */
 app.get('/admin/profiles', authMiddleware, (req, res) => {
-  const profiles = listCachedProfiles();
+  const profiles = listProfiles();
   res.json({ profiles });
 });
 
 /**
  * Legacy /mask endpoint (backwards compatibility)
  */
-app.post('/mask', authMiddleware, async (req, res) => {
+app.post('/mask', authMiddleware, validateRequest, async (req, res) => {
   try {
-    const { originalUrl, alphaUrl } = req.body || {};
-    if (!originalUrl || !alphaUrl) {
-      return res.status(400).json({ error: 'originalUrl and alphaUrl required' });
-    }
+    const { originalUrl, alphaUrl } = req.body;
 
     const ts = Date.now();
     const tmpDir = TEMP_DIR;
@@ -241,12 +601,9 @@ app.post('/mask', authMiddleware, async (req, res) => {
 /**
  * Legacy /process endpoint (backwards compatibility)
  */
-app.post('/process', authMiddleware, async (req, res) => {
+app.post('/process', authMiddleware, validateRequest, async (req, res) => {
   try {
-    const { url, command } = req.body || {};
-    if (!url || !command) {
-      return res.status(400).json({ error: 'url and command required' });
-    }
+    const { url, command } = req.body;
     
     const ts = Date.now();
     const tmp = TEMP_DIR;
@@ -284,6 +641,25 @@ app.post('/process', authMiddleware, async (req, res) => {
   }
 });
 
+// Malformed or oversized JSON bodies (express.json) answer with a JSON error
+app.use((err, req, res, next) => {
+  if (!err.type || !err.status) return next(err);
+  const error = err.type === 'entity.parse.failed' ? `invalid JSON body: ${err.message}` : err.message;
+  res.status(err.status).json({ error });
+});
+
+try {
+  const { registered } = await registerProfiles();
+  console.log(`Registered profiles: ${registered.join(', ') || '(none)'}`);
+} catch (e) {
+  console.warn(`Failed to register profiles: ${e.message}`);
+}
+
+const missingIcc = Object.keys(ICC_PROFILES).filter(name => !iccProfileInstalled(name));
+if (missingIcc.length > 0) {
+  console.warn(`ICC profiles not installed (steps using them are rejected): ${missingIcc.map(iccProfilePath).join(', ')}`);
+}
+
 app.listen(process.env.PORT || 8080, '0.0.0.0', () => {
   console.log(`ImageMagick Pipeline API running on port ${process.env.PORT || 8080}`);
 });
@@ -0,0 +1,159 @@
+/**
+ * Smart crop analysis
+ * Chooses a crop box of a given aspect ratio around an image's subject: its alpha
+ * bounding box when it has one, else the region with the most edges
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { OPERATIONS } from './schema.js';
+
+const execFileAsync = promisify(execFile);
+
+// Edge density is summed over a GRID x GRID map of the image
+const GRID = 32;
+
+// Results a smartCrop step stores under vars[box]
+export const CROP_FIELDS = ['x', 'y', 'w', 'h', 'method'];
+
+/**
+ * magick argvs the analysis runs (first frame only): size and alpha, the alpha
+ * bounding box, and the edge map
+ */
+export function smartCropCommands(srcPath) {
+  const frame = `${srcPath}[0]`;
+  return [
+    ['identify', '-format', '%w|%h|%A', frame],
+    [frame, '-alpha', 'extract', '-threshold', '50%', '-format', '%@', 'info:'],
+    [
+      frame, '-colorspace', 'Gray', '-resize', '256x256!', '-edge', '1',
+      '-resize', `${GRID}x${GRID}!`, '-depth', '8', '-compress', 'none', 'pgm:-'
+    ]
+  ];
+}
+
+/**
+ * Target aspect ratio (w / h) of a smartCrop step: aspect, else width / height
+ */
+export function targetAspect(step) {
+  if (step.aspect) {
+    const [w, h] = step.aspect.split(':').map(Number);
+    if (!w || !h) throw new Error(`Invalid aspect ratio: ${step.aspect}`);
+    return w / h;
+  }
+  return step.width / step.height;
+}
+
+/**
+ * Largest box of the given aspect that fits width x height
+ */
+export function largestBox(width, height, aspect) {
+  return width / height > aspect
+    ? { w: Math.round(height * aspect), h: height }
+    : { w: width, h: Math.round(width / aspect) };
+}
+
+// Center a length-size span on center, kept within 0..limit
+export function place(center, size, limit) {
+  return Math.round(Math.min(Math.max(center - size / 2, 0), limit - size));
+}
+
+/**
+ * Parse a plain (P2) PGM into rows of values
+ */
+export function parsePgm(stdout) {
+  const [magic, width, height, , ...values] = stdout.replace(/#.*$/gm, '').trim().split(/\s+/);
+  if (magic !== 'P2') throw new Error('smartCrop: could not read the edge map');
+  const w = Number(width);
+  return Array.from({ length: Number(height) }, (_, row) => values.slice(row * w, (row + 1) * w).map(Number));
+}
+
+/**
+ * Offset (in image pixels) of the span of size along one axis with the most edges
+ * sums holds the edge totals of the grid's columns (or rows).
+ */
+export function densestSpan(sums, size, limit) {
+  const cells = sums.length;
+  const span = Math.max(1, Math.min(cells, Math.round(size / limit * cells)));
+
+  // Windows that tie (e.g. all those covering a small detailed area) form a
+  // run; the box is centered on the middle of it
+  let total = sums.slice(0, span).reduce((a, b) => a + b, 0);
+  let best = total;
+  let first = 0;
+  let last = 0;
+  for (let start = 1; start + span <= cells; start++) {
+    total += sums[start + span - 1] - sums[start - 1];
+    if (total > best) {
+      best = total;
+      first = start;
+      last = start;
+    } else if (total === best && last === start - 1) {
+      last = start;
+    }
+  }
+
+  return place(((first + last) / 2 + span / 2) / cells * limit, size, limit);
+}
+
+/**
+ * Alpha bounding box from the %@ trim geometry, or null when the alpha
+ * does not single out a subject (fully opaque or fully transparent)
+ */
+export function alphaBox(geometry, width, height) {
+  const match = (geometry || '').trim().match(/^(\d+)x(\d+)([+-]\d+)([+-]\d+)$/);
+  if (!match) return null;
+  const [w, h, x, y] = match.slice(1).map(Number);
+  if (w === 0 || h === 0 || (w >= width && h >= height)) return null;
+  return { x, y, w, h };
+}
+
+/**
+ * Choose the crop box for a smartCrop step
+ * - focus: the largest box centered as close to the focal point as the image allows
+ * - alpha subject: the smallest box containing it plus padPct, at most the largest box
+ * - otherwise: the largest box over the most edge-dense region
+ * Returns: { x, y, w, h, method } in pixels of the first frame
+ */
+export async function findCropBox(srcPath, step) {
+  const [probe, alphaCommand, edgeCommand] = smartCropCommands(srcPath);
+  const { stdout } = await execFileAsync('magick', probe, { timeout: 20000 });
+  const [width, height, alpha] = stdout.trim().split('|');
+  const W = Number(width);
+  const H = Number(height);
+  const aspect = targetAspect(step);
+  const max = largestBox(W, H, aspect);
+
+  if (step.focus) {
+    return { x: place(step.focus.x * W, max.w, W), y: place(step.focus.y * H, max.h, H), ...max, method: 'focus' };
+  }
+
+  if (!/^(false|undefined|off)$/i.test(alpha || 'false')) {
+    const { stdout: geometry } = await execFileAsync('magick', alphaCommand, { timeout: 20000 });
+    const subject = alphaBox(geometry, W, H);
+    if (subject) {
+      const pad = 1 / (1 - (step.padPct ?? OPERATIONS.smartCrop.defaults.padPct));
+      const w = Math.max(subject.w * pad, subject.h * pad * aspect);
+      const box = w >= max.w ? max : { w: Math.round(w), h: Math.round(w / aspect) };
+      return {
+        x: place(subject.x + subject.w / 2, box.w, W),
+        y: place(subject.y + subject.h / 2, box.h, H),
+        ...box,
+        method: 'alpha'
+      };
+    }
+  }
+
+  const { stdout: pgm } = await execFileAsync('magick', edgeCommand, { timeout: 20000, maxBuffer: 10 * 1024 * 1024 });
+  const rows = parsePgm(pgm);
+  const columns = rows[0].map((_, c) => rows.reduce((sum, row) => sum + row[c], 0));
+  const rowSums = rows.map(row => row.reduce((a, b) => a + b, 0));
+
+  // The largest box spans one whole axis, so it only slides along the other
+  return {
+    x: max.w < W ? densestSpan(columns, max.w, W) : 0,
+    y: max.h < H ? densestSpan(rowSums, max.h, H) : 0,
+    ...max,
+    method: 'edges'
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * multipart/form-data uploads
+ * Streams uploaded files to disk and maps them to pipeline inputs
+ */
+
+import busboy from 'busboy';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 200 * 1024 * 1024; // per file
+const MAX_UPLOAD_FILES = Number(process.env.MAX_UPLOAD_FILES) || 10;
+
+// JSON-encoded form fields; everything else is a file mapped to the input of the same name
+const JSON_FIELDS = ['pipeline', 'params', 'inputs', 'callback'];
+
+// Paths written by this module; importImage only accepts multipart specs pointing here
+const uploadedPaths = new Set();
+
+/**
+ * True if the file was written by an upload in this process
+ */
+export function isUploadedFile(filePath) {
+  return uploadedPaths.has(filePath);
+}
+
+/**
+ * True if the request carries a multipart/form-data body
+ */
+export function isMultipart(req) {
+  return Boolean(req.is('multipart/form-data'));
+}
+
+/**
+ * Parse a multipart request
+ * Files are streamed to tmpDir; nothing is buffered in memory.
+ * Returns: { fields: {...}, files: { field: { path, filename, mimeType, size } }, cleanup }
+ */
+export function parseMultipart(req, tmpDir) {
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    const files = {};
+    const writes = [];
+    let failed = null;
+
+    const cleanup = () => {
+      for (const file of Object.values(files)) {
+        uploadedPaths.delete(file.path);
+        try { fs.unlinkSync(file.path); } catch {}
+      }
+    };
+
+    // Record the first failure; busboy keeps draining the body so 'close' still fires
+    const fail = (message, status) => {
+      if (!failed) failed = Object.assign(new Error(message), { status });
+    };
+
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_UPLOAD_FILES, fields: 20 }
+      });
+    } catch (e) {
+      return reject(Object.assign(new Error(e.message), { status: 400 }));
+    }
+
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on('file', (name, stream, info) => {
+      if (JSON_FIELDS.includes(name) || files[name]) {
+        stream.resume();
+        return fail(`unexpected or duplicate file field "${name}"`, 400);
+      }
+
+      // Keep the client's extension so delegates (e.g. RAW via libraw) are picked correctly
+      let ext = path.extname(info.filename || '').toLowerCase();
+      if (ext.length > 10) ext = '';
+      const destPath = path.join(tmpDir, `upload-${Date.now()}-${crypto.randomBytes(6).toString('hex')}${ext}`);
+
+      const file = { path: destPath, filename: info.filename, mimeType: info.mimeType, size: 0 };
+      files[name] = file;
+      uploadedPaths.add(destPath);
+
+      stream.on('data', (chunk) => { file.size += chunk.length; });
+      stream.on('limit', () => fail(`file "${name}" exceeds ${MAX_UPLOAD_BYTES} bytes`, 413));
+
+      const out = fs.createWriteStream(destPath);
+      writes.push(new Promise((res, rej) => {
+        out.on('finish', res);
+        out.on('error', rej);
+      }));
+      stream.pipe(out);
+    });
+
+    parser.on('filesLimit', () => fail(`too many files (max ${MAX_UPLOAD_FILES})`, 413));
+    parser.on('error', (e) => {
+      req.unpipe(parser);
+      req.resume();
+      cleanup();
+      reject(Object.assign(new Error(e.message), { status: 400 }));
+    });
+
+    parser.on('close', async () => {
+      try {
+        await Promise.all(writes);
+      } catch (e) {
+        failed = failed || e;
+      }
+      if (failed) {
+        cleanup();
+        return reject(failed);
+      }
+      resolve({ fields, files, cleanup });
+    });
+
+    req.pipe(parser);
+  });
+}
+
+/**
+ * Express middleware: turn a multipart body into the JSON body shape
+ * - pipeline, params, inputs, callback fields are parsed as JSON
+ * - each file field becomes a { type: 'multipart' } input of the same name, added to
+ *   pipeline.inputs (/v1/pipeline) or inputs (/v1/run)
+ * Uploaded files are deleted when the response closes unless claimed with claimUploads().
+ */
+export function multipartBody(tmpDir) {
+  return async (req, res, next) => {
+    if (!isMultipart(req)) return next();
+
+    let upload;
+    try {
+      upload = await parseMultipart(req, tmpDir);
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+
+    req.uploads = { cleanup: upload.cleanup, claimed: false };
+    res.on('close', () => {
+      if (!req.uploads.claimed) upload.cleanup();
+    });
+
+    const body = {};
+    for (const [name, value] of Object.entries(upload.fields)) {
+      if (!JSON_FIELDS.includes(name)) {
+        return res.status(400).json({ error: `unexpected form field "${name}"` });
+      }
+      try {
+        body[name] = JSON.parse(value);
+      } catch {
+        return res.status(400).json({ error: `form field "${name}" must be JSON` });
+      }
+    }
+
+    const fileInputs = {};
+    for (const [name, file] of Object.entries(upload.files)) {
+      fileInputs[name] = { type: 'multipart', field: name, ...file };
+    }
+
+    const target = body.pipeline && typeof body.pipeline === 'object' ? body.pipeline : body;
+    target.inputs = { ...(target.inputs || {}), ...fileInputs };
+
+    // Inputs declared as multipart must have been uploaded
+    for (const [name, spec] of Object.entries(target.inputs)) {
+      const declared = spec === 'multipart' || (spec && spec.type === 'multipart' && !spec.path);
+      if (declared) {
+        return res.status(400).json({ error: `input "${name}" expects an uploaded file field "${name}"` });
+      }
+    }
+
+    req.body = body;
+    next();
+  };
+}
+
+/**
+ * Take ownership of a request's uploaded files (e.g. for an async job)
+ * Returns the cleanup function, or null if the request had no uploads
+ */
+export function claimUploads(req) {
+  if (!req.uploads) return null;
+  req.uploads.claimed = true;
+  return req.uploads.cleanup;
+}
@@ -0,0 +1,58 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+// Read when callbacks.js loads
+process.env.CALLBACK_ALLOWED_HOSTS = '127.0.0.1';
+process.env.CALLBACK_MAX_ATTEMPTS = '1';
+const { checkCallbackUrl, deliverCallback, isPrivateAddress } = await import('../src/callbacks.js');
+
+const hits = [];
+const server = http.createServer((req, res) => {
+  hits.push(req.url);
+  if (req.url === '/hook') {
+    res.writeHead(302, { Location: '/elsewhere' }).end();
+  } else {
+    res.writeHead(200).end();
+  }
+});
+let port;
+before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+  port = server.address().port;
+  resolve();
+})));
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('isPrivateAddress covers loopback, private, link-local and mapped addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:7f00:1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('checkCallbackUrl refuses private hosts unless allowed', async () => {
+  assert.equal(await checkCallbackUrl('http://169.254.169.254/latest/meta-data'), 'callback host "169.254.169.254" is a private address');
+  assert.equal(await checkCallbackUrl('http://[::1]:8080/hook'), 'callback host "::1" is a private address');
+  assert.match(await checkCallbackUrl('http://localhost:8080/hook'), /^callback host "localhost" resolves to private address/);
+  assert.equal(await checkCallbackUrl('https://93.184.216.34/hook'), null);
+  assert.equal(await checkCallbackUrl('http://127.0.0.1:8080/hook'), null);
+});
+
+test('deliverCallback does not follow redirects', async () => {
+  const delivery = await deliverCallback({ url: `http://127.0.0.1:${port}/hook` }, 'pipeline.completed', {});
+  assert.deepEqual(delivery, { delivered: false, attempts: 1, error: 'HTTP 302' });
+  assert.deepEqual(hits, ['/hook']);
+});
+
+test('deliverCallback refuses private destinations without connecting', async () => {
+  hits.length = 0;
+  const literal = await deliverCallback({ url: 'http://169.254.169.254/' }, 'pipeline.completed', {});
+  assert.deepEqual(literal, { delivered: false, attempts: 0, error: 'callback host "169.254.169.254" is a private address' });
+
+  const resolved = await deliverCallback({ url: `http://localhost:${port}/ok` }, 'pipeline.completed', {});
+  assert.equal(resolved.delivered, false);
+  assert.match(resolved.error, /resolves to private address/);
+  assert.deepEqual(hits, []);
+});
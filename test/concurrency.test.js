@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runDag, mapConcurrent, createLimiter } from '../src/concurrency.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('runDag runs tasks after their dependencies, lowest index first', async () => {
+  const order = [];
+  // 0 → 2, 1 → 2, 2 → 3
+  const deps = [new Set(), new Set(), new Set([0, 1]), new Set([2])];
+  await runDag(deps, 1, async (i) => { order.push(i); });
+  assert.deepEqual(order, [0, 1, 2, 3]);
+});
+
+test('runDag keeps at most limit tasks in flight', async () => {
+  let running = 0;
+  let peak = 0;
+  const deps = Array.from({ length: 6 }, () => new Set());
+  await runDag(deps, 2, async () => {
+    peak = Math.max(peak, ++running);
+    await tick();
+    running--;
+  });
+  assert.equal(peak, 2);
+});
+
+test('runDag stops starting tasks after a failure and rethrows it', async () => {
+  const started = [];
+  const deps = [new Set(), new Set([0]), new Set([1])];
+  await assert.rejects(
+    runDag(deps, 1, async (i) => {
+      started.push(i);
+      if (i === 1) throw new Error('boom');
+    }),
+    /boom/
+  );
+  assert.deepEqual(started, [0, 1]);
+});
+
+test('runDag resolves immediately for an empty graph', async () => {
+  await runDag([], 4, () => assert.fail('no tasks'));
+});
+
+test('mapConcurrent keeps item order under a limit', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapConcurrent([3, 1, 2, 5], 2, async (n, i) => {
+    peak = Math.max(peak, ++running);
+    for (let k = 0; k < n; k++) await tick();
+    running--;
+    return n * 10 + i;
+  });
+  assert.deepEqual(results, [30, 11, 22, 53]);
+  assert.equal(peak, 2);
+});
+
+test('createLimiter caps calls across callers and runs waiters in order', async () => {
+  const limiter = createLimiter(2);
+  const started = [];
+  let peak = 0;
+  const job = (n) => limiter.run(async () => {
+    started.push(n);
+    peak = Math.max(peak, limiter.active);
+    await tick();
+    return n;
+  });
+
+  const results = await Promise.all([job(0), job(1), job(2), job(3)]);
+  assert.deepEqual(results, [0, 1, 2, 3]);
+  assert.deepEqual(started, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+  assert.equal(limiter.active, 0);
+  assert.equal(limiter.waiting, 0);
+});
+
+test('createLimiter frees the slot when a call fails', async () => {
+  const limiter = createLimiter(1);
+  await assert.rejects(limiter.run(async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await limiter.run(async () => 'next'), 'next');
+});
+
+test('runDag tasks sharing a limiter stay within it across graphs', async () => {
+  const limiter = createLimiter(2);
+  let running = 0;
+  let peak = 0;
+  const graph = () => Array.from({ length: 4 }, () => new Set());
+  const task = () => limiter.run(async () => {
+    peak = Math.max(peak, ++running);
+    await tick();
+    running--;
+  });
+  await Promise.all([runDag(graph(), 3, task), runDag(graph(), 3, task), runDag(graph(), 3, task)]);
+  assert.equal(peak, 2);
+});
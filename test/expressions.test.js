@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseExpression,
+  evaluateExpression,
+  evaluateCondition,
+  substituteVars,
+  substituteDeep,
+  templateVars
+} from '../src/expressions.js';
+
+test('parseExpression accepts arithmetic, comparisons, functions and ternaries', () => {
+  for (const expr of ['1 + 2 * 3', 'max(padW, padH * 0.75)', 'm.trimW > 100 && !flag', 'a == "x" ? 1 : 2', '-(w - 1) / 2']) {
+    assert.equal(parseExpression(expr).valid, true, expr);
+  }
+});
+
+test('parseExpression rejects malformed input without throwing', () => {
+  for (const expr of ['1 +', 'max(1', '(a', 'a ? b', '1 2', 'foo(1)', 'a = 1']) {
+    const parsed = parseExpression(expr);
+    assert.equal(parsed.valid, false, expr);
+    assert.equal(typeof parsed.error, 'string');
+  }
+  assert.equal(parseExpression(42).valid, false);
+});
+
+test('evaluateExpression computes with known vars and falls back to fx otherwise', () => {
+  assert.deepEqual(evaluateExpression('max(w, h) * 1.06', { w: 100, h: 200 }), { type: 'number', value: 212 });
+  assert.deepEqual(evaluateExpression('w / 3', { w: 10 }, { round: false }).value, 10 / 3);
+  assert.deepEqual(evaluateExpression('m.trimW + 1', { m: { trimW: '9' } }), { type: 'number', value: 10 });
+  assert.deepEqual(evaluateExpression('w * 2', {}), { type: 'fx', value: 'w*2' });
+  assert.throws(() => evaluateExpression('w / 0', { w: 1 }), /Division by zero/);
+});
+
+test('evaluateCondition returns booleans or the unresolved names', () => {
+  assert.deepEqual(evaluateCondition('m.hasAlpha == 0', { m: { hasAlpha: false } }), { type: 'boolean', value: true });
+  assert.deepEqual(evaluateCondition('mode == "web"', { mode: 'print' }), { type: 'boolean', value: false });
+  assert.deepEqual(evaluateCondition('a > b', { a: 1 }), { type: 'unresolved', vars: ['b'] });
+});
+
+test('substituteVars replaces known references and leaves unknown ones', () => {
+  assert.equal(substituteVars('${runId}/final/${base}.jpg', { runId: 123, base: 'chair' }), '123/final/chair.jpg');
+  assert.equal(substituteVars('${m.w}x${missing}', { m: { w: 5 } }), '5x${missing}');
+  assert.equal(substituteVars(7, {}), 7);
+});
+
+test('substituteDeep keeps whole-template values as-is and recurses into objects', () => {
+  const vars = { size: 800, base: 'chair', box: { x: 1 } };
+  assert.deepEqual(
+    substituteDeep({ width: '${size}', name: '${base}-web', list: ['${box.x}', '${nope}'], n: 3 }, vars),
+    { width: 800, name: 'chair-web', list: [1, '${nope}'], n: 3 }
+  );
+});
+
+test('templateVars collects references from nested values', () => {
+  assert.deepEqual([...templateVars({ a: '${x}/${y.z}', b: ['${x}', 1] })].sort(), ['x', 'y.z']);
+});
@@ -0,0 +1,31 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { iccProfileNames } from '../src/schema.js';
+
+// ICC_PROFILE_DIR is read when operations.js loads
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icc-test-'));
+fs.writeFileSync(path.join(dir, 'sRGB.icc'), 'icc');
+process.env.ICC_PROFILE_DIR = dir;
+const { iccProfileInstalled } = await import('../src/operations.js');
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('iccProfileNames collects named profiles from nested steps, skipping templates', () => {
+  const steps = [
+    { op: 'colorManage', src: 'a', from: 'AdobeRGB', to: '${space}', out: 'b' },
+    {
+      op: 'switch',
+      cases: [{ name: 'print', when: 'cmyk', steps: [{ op: 'colorManage', src: 'b', to: 'FOGRA39', out: 'c' }] }],
+      default: [{ op: 'export', src: 'b', as: 'jpg', jpg: { icc: 'DisplayP3' } }]
+    },
+    { op: 'forEach', items: [1], steps: [{ op: 'export', src: 'b', as: 'tiff', tiff: { icc: 'strip' } }] }
+  ];
+  assert.deepEqual([...iccProfileNames(steps)].sort(), ['AdobeRGB', 'DisplayP3', 'FOGRA39']);
+});
+
+test('iccProfileInstalled checks the file under ICC_PROFILE_DIR', () => {
+  assert.equal(iccProfileInstalled('sRGB'), true);
+  assert.equal(iccProfileInstalled('FOGRA39'), false);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeJob } from '../src/jobs.js';
+
+const job = (status, realizedSteps) => ({
+  id: 'j',
+  status,
+  meta: {},
+  totalSteps: 3,
+  realizedSteps,
+  outputs: [],
+  createdAt: 0
+});
+
+test('job progress counts inputs and top-level steps, not nested ones', () => {
+  const steps = [
+    { op: 'import', name: 'img' },
+    { op: 'resize', step: '0.0.0' },
+    { op: 'export', step: '0.0.1' },
+    { op: 'resize', step: '0.1.0' },
+    { op: 'export', step: '0.1.1' },
+    { op: 'forEach', step: 0, items: 2 }
+  ];
+  const { progress } = describeJob(job('running', steps));
+  assert.deepEqual([progress.completed, progress.total], [2, 3]);
+  assert.equal(progress.steps.length, 6);
+});
+
+test('a succeeded job is complete even when the result cache skipped its steps', () => {
+  const { progress } = describeJob(job('succeeded', [{ op: 'cache', hit: true }]));
+  assert.deepEqual([progress.completed, progress.total], [3, 3]);
+});
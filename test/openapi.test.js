@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRequest } from '../src/openapi.js';
+
+// Run validateRequest for a route; returns { status, body } or { next: true }
+function check(path, query, body = {}) {
+  const req = { route: { path }, method: 'POST', query, body };
+  let result = { next: true };
+  const res = {
+    status(code) {
+      result = { status: code };
+      return this;
+    },
+    json(payload) {
+      result.body = payload;
+    }
+  };
+  validateRequest(req, res, () => {});
+  return result;
+}
+
+test('query parameters must match the documented strings', () => {
+  const nested = check('/v1/run', { profile: 'x', source: { bucket: 'a', key: 'b' } }, { inputs: {} });
+  assert.equal(nested.status, 400);
+  assert.equal(nested.body.error, 'invalid query');
+  assert.deepEqual(nested.body.issues, [{ pointer: '/source', message: '"source" must be string' }]);
+
+  assert.equal(check('/v1/run', { profile: ['a', 'b'] }, { inputs: {} }).body.details[0], '"profile" must be string');
+  assert.equal(check('/v1/run', {}, { inputs: {} }).body.details[0], 'missing required field "profile"');
+  assert.equal(check('/v1/pipeline', { async: 'yes' }).body.error, 'invalid query');
+});
+
+test('valid and undocumented query parameters pass', () => {
+  assert.deepEqual(check('/v1/run', { profile: 'mask-web@2', async: 'true', other: ['x'] }, { inputs: {} }), { next: true });
+});
+
+test('bodies are still checked after the query', () => {
+  assert.equal(check('/v1/batch', { profile: 'x' }, { items: 'nope' }).body.error, 'invalid request');
+});
+
+test('unknown top-level body fields are ignored, required fields are not', () => {
+  const mask = { originalUrl: 'https://x/a.png', alphaUrl: 'https://x/a-mask.png', executionId: 'n8n-1' };
+  assert.deepEqual(check('/mask', {}, mask), { next: true });
+  assert.deepEqual(check('/process', {}, { url: 'https://x/a.png', command: '-resize 50%', workflow: 'w' }), { next: true });
+  assert.deepEqual(check('/v1/run', { profile: 'x' }, { inputs: {}, note: 'x' }), { next: true });
+
+  const missing = check('/mask', {}, { originalUrl: 'https://x/a.png', extra: 1 });
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.body.details, ['missing required field "alphaUrl"']);
+});
@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateParams, validateParamSchema, normalizeParamSchema } from '../src/schema.js';
+
+test('normalizeParamSchema expands shorthand and derives required from default', () => {
+  assert.deepEqual(normalizeParamSchema({
+    base: 'string',
+    quality: { type: 'integer', default: 90 },
+    mode: { type: 'string' }
+  }), {
+    base: { type: 'string', required: true },
+    quality: { type: 'integer', default: 90, required: false },
+    mode: { type: 'string', required: true }
+  });
+});
+
+test('validateParams rejects values of the wrong type', () => {
+  const schema = {
+    base: 'string',
+    quality: 'integer',
+    scale: 'number',
+    flatten: 'boolean',
+    sizes: 'array'
+  };
+  const { valid, errors } = validateParams(schema, {
+    base: 42,
+    quality: 90.5,
+    scale: Infinity,
+    flatten: 'true',
+    sizes: '300,600'
+  });
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    'Param "base": must be a string',
+    'Param "quality": must be an integer',
+    'Param "scale": must be a number',
+    'Param "flatten": must be a boolean',
+    'Param "sizes": must be an array'
+  ]);
+});
+
+test('validateParams does not coerce strings to numbers', () => {
+  const { valid, errors } = validateParams({ quality: 'integer' }, { quality: '95' });
+  assert.equal(valid, false);
+  assert.deepEqual(errors, ['Param "quality": must be an integer']);
+});
+
+test('validateParams rejects values outside enum or pattern', () => {
+  const schema = {
+    format: { type: 'string', enum: ['png', 'webp'] },
+    base: { type: 'string', pattern: '^[a-z0-9-]+$' }
+  };
+  assert.deepEqual(validateParams(schema, { format: 'png', base: 'chair-01' }).errors, []);
+  assert.deepEqual(validateParams(schema, { format: 'gif', base: '../etc' }).errors, [
+    'Param "format": must be one of "png", "webp"',
+    'Param "base": must match pattern ^[a-z0-9-]+$'
+  ]);
+});
+
+test('validateParams lists every missing required param', () => {
+  const { valid, errors } = validateParams({ runId: 'string', base: 'string' }, {});
+  assert.equal(valid, false);
+  assert.deepEqual(errors, ['Param "runId": required', 'Param "base": required']);
+});
+
+test('validateParams applies defaults for missing and null params only', () => {
+  const schema = { quality: { type: 'integer', default: 90 }, suffix: { type: 'string', default: '' } };
+  assert.deepEqual(validateParams(schema, {}).params, { quality: 90, suffix: '' });
+  assert.deepEqual(validateParams(schema, { quality: null }).params, { quality: 90, suffix: '' });
+  assert.deepEqual(validateParams(schema, { quality: 75, suffix: '-x' }).params, { quality: 75, suffix: '-x' });
+});
+
+test('validateParams leaves optional params without a default unset', () => {
+  const { valid, params } = validateParams({ note: { type: 'string', required: false } }, {});
+  assert.equal(valid, true);
+  assert.deepEqual(params, {});
+});
+
+test('validateParams passes undeclared params through unchanged', () => {
+  const { valid, params } = validateParams({ base: 'string' }, { base: 'a', extra: { x: 1 } });
+  assert.equal(valid, true);
+  assert.deepEqual(params, { base: 'a', extra: { x: 1 } });
+  assert.deepEqual(validateParams(undefined, { any: 1 }), { valid: true, errors: [], params: { any: 1 } });
+});
+
+test('validateParamSchema accepts a well-formed schema', () => {
+  assert.deepEqual(validateParamSchema({
+    base: 'string',
+    format: { type: 'string', enum: ['png', 'webp'], default: 'png', description: 'Output format' },
+    slug: { type: 'string', pattern: '^[a-z]+$' },
+    sizes: { type: 'array', default: [2000, 600] }
+  }), { valid: true, errors: [] });
+});
+
+test('validateParamSchema reports malformed declarations', () => {
+  const { valid, errors } = validateParamSchema({
+    a: 5,
+    b: 'float',
+    c: { type: 'string', min: 1 },
+    d: { type: 'string', enum: [] },
+    e: { type: 'integer', pattern: '^1' },
+    f: { type: 'string', pattern: '(' },
+    g: { type: 'integer', default: 'x' },
+    h: { type: 'string', enum: ['a', 'b'], default: 'c' }
+  });
+  assert.equal(valid, false);
+  assert.equal(errors.length, 8);
+  assert.deepEqual(errors.slice(0, 5), [
+    'Param "a": must be a type name or object',
+    'Param "b": unknown type "float"',
+    'Param "c": unknown field "min"',
+    'Param "d": "enum" must be a non-empty array',
+    'Param "e": "pattern" only applies to strings'
+  ]);
+  assert.match(errors[5], /^Param "f": invalid pattern/);
+  assert.deepEqual(errors.slice(6), [
+    'Param "g": default must be an integer',
+    'Param "h": default must be one of "a", "b"'
+  ]);
+});
+
+test('validateParamSchema rejects a params value that is not an object', () => {
+  assert.deepEqual(validateParamSchema(['base']), { valid: false, errors: ['Profile "params" must be an object'] });
+  assert.deepEqual(validateParamSchema(null), { valid: false, errors: ['Profile "params" must be an object'] });
+});
+
+test('validateParams rejects numbers outside minimum and maximum', () => {
+  const schema = {
+    quality: { type: 'integer', minimum: 1, maximum: 100 },
+    scale: { type: 'number', minimum: 0.1 }
+  };
+  assert.deepEqual(validateParams(schema, { quality: 100, scale: 0.1 }).errors, []);
+  assert.deepEqual(validateParams(schema, { quality: 0, scale: 0.05 }).errors, [
+    'Param "quality": must be >= 1',
+    'Param "scale": must be >= 0.1'
+  ]);
+  assert.deepEqual(validateParams(schema, { quality: 101, scale: 2 }).errors, ['Param "quality": must be <= 100']);
+});
+
+test('validateParamSchema checks minimum and maximum', () => {
+  assert.deepEqual(validateParamSchema({
+    a: { type: 'string', minimum: 1 },
+    b: { type: 'integer', maximum: '10' },
+    c: { type: 'number', minimum: 5, maximum: 1 },
+    d: { type: 'integer', minimum: 1, default: 0 }
+  }).errors, [
+    'Param "a": "minimum" only applies to numbers',
+    'Param "b": "maximum" must be a number',
+    'Param "c": "minimum" is greater than "maximum"',
+    'Param "d": default must be >= 1'
+  ]);
+});
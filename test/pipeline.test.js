@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveStep, planPipeline, loadIncludes } from '../src/pipeline.js';
+import { validateStepValues } from '../src/schema.js';
+
+test('resolveStep keeps whole-template numbers in numeric fields', () => {
+  const { step, unresolved } = resolveStep({ op: 'resize', src: 'a', out: 'b', width: '${size}' }, { size: 800 });
+  assert.equal(step.width, 800);
+  assert.deepEqual(unresolved, []);
+});
+
+test('resolveStep stringifies numeric params in string fields', () => {
+  const text = { op: 'text', src: 'a', out: 'b', text: '${sku}', font: 'DejaVu-Sans' };
+  const { step } = resolveStep(text, { sku: 12345 });
+  assert.equal(step.text, '12345');
+  assert.deepEqual(validateStepValues(step, 0), []);
+
+  const exported = { op: 'export', src: 'b', as: 'png', name: '${sku}', s3: { key: '${sku}', metadata: { sku: '${sku}' } } };
+  const { step: out } = resolveStep(exported, { sku: 7 });
+  assert.deepEqual([out.name, out.s3.key, out.s3.metadata.sku], ['7', '7', '7']);
+});
+
+test('a dry run renders numeric params into text', () => {
+  const plan = planPipeline({
+    inputs: { img: 'url' },
+    steps: [
+      { op: 'text', src: 'img', out: 'labelled', text: '${sku}' },
+      { op: 'export', src: 'labelled', as: 'png' }
+    ]
+  }, { sku: 42 });
+  const step = plan.steps.find(s => s.op === 'text');
+  assert.ok(step.commands.flat().includes('label:42'), JSON.stringify(step));
+});
+
+test('loadIncludes resolves among the given source profiles before the registry', async () => {
+  const profile = (name, version, steps = []) => ({ name, version, inputs: { img: 'url' }, steps });
+  const include = (ref) => ({ op: 'include', profile: ref, inputs: { img: 'img' } });
+  const siblings = [profile('inner', 1), profile('inner', 2, [include('leaf')]), profile('leaf', 1)];
+
+  const includes = await loadIncludes([include('inner')], siblings);
+  assert.deepEqual([...includes].map(([ref, p]) => `${ref}=${p.name}@${p.version}`), ['inner=inner@2', 'leaf=leaf@1']);
+  assert.equal((await loadIncludes([include('inner@1')], siblings)).get('inner@1').version, 1);
+
+  await assert.rejects(loadIncludes([include('inner')]), /include: profile "inner" not found/);
+  await assert.rejects(
+    loadIncludes([include('a')], [profile('a', 1, [include('b')]), profile('b', 1, [include('a')])]),
+    /include: cycle a@1 → b@1 → a@1/
+  );
+});
+
+test('forEach images are scoped per iteration, so later steps may reuse their names', () => {
+  const pipeline = {
+    inputs: { img: 'url' },
+    steps: [
+      {
+        op: 'forEach',
+        items: [300, 600],
+        as: 'size',
+        steps: [
+          { op: 'resize', src: 'img', out: 'r', mode: 'width', value: '${size}' },
+          { op: 'export', src: 'r', as: 'webp' }
+        ]
+      },
+      { op: 'trimRepage', src: 'img', out: 'r' },
+      { op: 'export', src: 'r', as: 'png' }
+    ]
+  };
+  const plan = planPipeline(pipeline);
+  assert.equal(plan.valid, true, JSON.stringify(plan.errors));
+  const [loop, trim, exported] = plan.steps;
+  assert.deepEqual(loop.iterations.map(it => it.steps.map(s => s.out || s.src)), [['0.0/r', '0.0/r'], ['0.1/r', '0.1/r']]);
+  assert.equal(loop.iterations[1].steps[0].commands[0].at(-1), '<0.1/r>');
+  assert.equal(trim.out, 'r');
+  assert.deepEqual(exported.dependsOn, [1]);
+  assert.deepEqual(plan.graph.r, { producedBy: 1, consumedBy: [2] });
+});
+
+test('switch branch-local images are scoped, so later steps may reuse their names', () => {
+  const pipeline = {
+    inputs: { img: 'url' },
+    steps: [
+      {
+        op: 'switch',
+        cases: [{ name: 'wide', when: 'wide == 1', steps: [
+          { op: 'trimRepage', src: 'img', out: 't' },
+          { op: 'resize', src: 't', out: 'fitted', mode: 'fit', value: 1000 }
+        ] }],
+        default: [{ op: 'resize', src: 'img', out: 'fitted', mode: 'fit', value: 500 }]
+      },
+      { op: 'trimRepage', src: 'img', out: 't' },
+      { op: 'composite', base: 'fitted', overlay: 't', mode: 'Over', out: 'both' },
+      { op: 'export', src: 'both', as: 'png' }
+    ]
+  };
+  const plan = planPipeline(pipeline, { wide: 1 });
+  assert.equal(plan.valid, true, JSON.stringify(plan.errors));
+  const [branching, trim] = plan.steps;
+  assert.deepEqual(branching.cases[0].steps.map(s => s.out), ['0/t', 'fitted']);
+  assert.deepEqual(branching.outputs, ['fitted']);
+  assert.equal(trim.out, 't');
+  assert.deepEqual(plan.graph.t, { producedBy: 1, consumedBy: [2] });
+  assert.deepEqual(plan.steps[2].dependsOn, [0, 1]);
+});
+
+test('a dry run applies RAW exposure in linear light', () => {
+  const plan = planPipeline({
+    inputs: { img: { type: 'url', url: 'https://example.com/a.arw', raw: { exposure: 1, bitDepth: 8 } } },
+    steps: [{ op: 'export', src: 'img', as: 'png' }]
+  });
+  assert.deepEqual(plan.inputs.img.commands[0], [
+    'magick', '<img>',
+    '-colorspace', 'RGB', '-evaluate', 'Multiply', '2', '-colorspace', 'sRGB',
+    '-depth', '8',
+    '<img-decoded>'
+  ]);
+});
@@ -0,0 +1,117 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import {
+  loadProfiles,
+  loadProfile,
+  loadProfileDir,
+  findProfile,
+  clearProfileCache,
+  clearRegistry
+} from '../src/profiles.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  clearProfileCache();
+  clearRegistry();
+});
+
+const profile = (name, version, extra = []) => ({
+  name,
+  version,
+  inputs: { img: 'url' },
+  steps: [{ op: 'autoOrient', src: 'img', out: 'o' }, ...extra, { op: 'export', src: 'o', as: 'png' }]
+});
+
+// Write a JSON document into its own directory and return its file:// URL
+function write(file, doc) {
+  const sub = fs.mkdtempSync(path.join(dir, 'src-'));
+  const filePath = path.join(sub, file);
+  fs.writeFileSync(filePath, JSON.stringify(doc));
+  return pathToFileURL(filePath).href;
+}
+
+test('loadProfiles loads a single profile', async () => {
+  const source = write('one.json', profile('one', 1));
+  const profiles = await loadProfiles(source);
+  assert.deepEqual(profiles.map(p => p.name), ['one']);
+});
+
+test('loadProfiles expands manifests of inline and referenced profiles', async () => {
+  const referenced = write('b.json', profile('b', '1.0.0'));
+  const source = write('manifest.json', { profiles: [profile('a', 1), referenced] });
+  const profiles = await loadProfiles(source, undefined, { trusted: true });
+  assert.deepEqual(profiles.map(p => `${p.name}@${p.version}`), ['a@1', 'b@1.0.0']);
+});
+
+test('untrusted manifests cannot reference local files or S3', async () => {
+  const local = write('local.json', profile('local', 1));
+  for (const entry of [local, 's3://bucket/profile.json', { bucket: 'bucket', key: 'profile.json' }]) {
+    await assert.rejects(
+      loadProfiles(write('remote.json', { profiles: [profile('a', 1), entry] })),
+      /^Error: Manifest entry 2: file:\/\/ and S3 sources are only allowed in manifests configured via PROFILE_DIR or PROFILE_SOURCE$/
+    );
+  }
+});
+
+test('load errors do not quote fetched content', async () => {
+  const secret = 'secret-content-1234';
+  const notJson = path.join(fs.mkdtempSync(path.join(dir, 'raw-')), 'secret.txt');
+  fs.writeFileSync(notJson, secret);
+  const notProfile = write('package.json', { name: secret, version: '1.0.0' });
+
+  for (const source of [pathToFileURL(notJson).href, notProfile]) {
+    await assert.rejects(loadProfiles(source), (e) => !e.message.includes(secret));
+    const manifest = write('m.json', { profiles: [profile('a', 1), source] });
+    await assert.rejects(loadProfiles(manifest, undefined, { trusted: true }), (e) => /Manifest entry 2|manifest entry 2/.test(e.message) && !e.message.includes(secret));
+  }
+});
+
+test('loadProfiles rejects nested manifests, invalid and duplicate profiles', async () => {
+  const nested = write('nested.json', { profiles: [profile('x', 1)] });
+  await assert.rejects(loadProfiles(write('m.json', { profiles: [nested] }), undefined, { trusted: true }), /Manifest entry 1 is itself a manifest/);
+  await assert.rejects(loadProfiles(write('bad.json', { name: 'bad', steps: [{ op: 'nope' }] })), /Invalid profile/);
+  await assert.rejects(
+    loadProfiles(write('dup.json', { profiles: [profile('d', 1), profile('d', 1)] })),
+    /Duplicate profile "d@1"/
+  );
+});
+
+test('loadProfiles resolves includes within the same manifest and rejects cycles', async () => {
+  const inner = profile('inner', 1);
+  const outer = profile('outer', 1, [{ op: 'include', profile: 'inner', inputs: { img: 'o' } }]);
+  const profiles = await loadProfiles(write('inc.json', { profiles: [inner, outer] }));
+  assert.equal(profiles.length, 2);
+
+  const a = profile('a', 1, [{ op: 'include', profile: 'b', inputs: { img: 'o' } }]);
+  const b = profile('b', 1, [{ op: 'include', profile: 'a', inputs: { img: 'o' } }]);
+  await assert.rejects(loadProfiles(write('cycle.json', { profiles: [a, b] })), /Include cycle/);
+});
+
+test('loadProfile selects by name and version, latest by default', async () => {
+  const source = write('versions.json', { profiles: [profile('p', '1.2.0'), profile('p', '1.10.0'), profile('q', 1)] });
+  assert.equal((await loadProfile(source, 'p')).version, '1.10.0');
+  assert.equal((await loadProfile(source, 'p@1.2.0')).version, '1.2.0');
+  assert.equal(await loadProfile(source, 'missing'), null);
+  await assert.rejects(loadProfile(source), /several profiles/);
+});
+
+test('loadProfileDir registers profiles and reports files that fail', async () => {
+  const profileDir = fs.mkdtempSync(path.join(dir, 'dir-'));
+  fs.writeFileSync(path.join(profileDir, 'a.json'), JSON.stringify(profile('a', 1)));
+  fs.writeFileSync(path.join(profileDir, 'b.json'), JSON.stringify({ profiles: [profile('b', 1), profile('b', 2)] }));
+  fs.writeFileSync(path.join(profileDir, 'broken.json'), '{');
+  fs.writeFileSync(path.join(profileDir, 'notes.txt'), 'ignored');
+
+  const scan = await loadProfileDir(profileDir);
+  assert.deepEqual(scan.registered, ['a@1', 'b@1', 'b@2']);
+  assert.deepEqual(scan.errors.map(e => e.file), ['broken.json']);
+  assert.equal((await findProfile('b')).version, 2);
+  assert.equal((await findProfile('b@1')).version, 1);
+  assert.equal(await findProfile('c'), null);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sendPipelineResult } from '../src/responses.js';
+import { validatePipeline } from '../src/schema.js';
+
+// Minimal Express req/res pair recording what was sent
+function exchange(accept) {
+  const req = {
+    get: (name) => (name === 'Accept' ? accept : undefined),
+    accepts: (types) => types.find(type => accept.includes(type)) || false
+  };
+  const res = {
+    headers: {},
+    set(name, value) {
+      if (typeof name === 'object') Object.assign(this.headers, name);
+      else this.headers[name] = value;
+      return this;
+    },
+    send(body) { this.body = body; },
+    json(payload) { this.payload = payload; }
+  };
+  return { req, res };
+}
+
+const result = (outputs) => ({ outputs, stats: {} });
+const png = (fields) => ({ type: 'buffer', contentType: 'image/png', buffer: Buffer.from('png'), ...fields });
+
+test('multipart part headers cannot be split by CR/LF in names', () => {
+  const { req, res } = exchange('multipart/mixed');
+  sendPipelineResult(req, res, result([
+    png({ src: 'a\r\nX-Injected: 1', name: 'web\r\n\r\n--boundary' }),
+    png({ src: 'b' })
+  ]), { startTime: Date.now() });
+
+  const body = res.body.toString();
+  assert.match(res.headers['Content-Type'], /^multipart\/mixed; boundary=/);
+  assert.ok(!body.includes('\r\nX-Injected'));
+  assert.ok(body.includes('X-Output-Src: a_X-Injected: 1\r\n'));
+  assert.ok(body.includes('X-Output-Name: web_--boundary\r\n'));
+});
+
+test('Accept: multipart/mixed without buffered outputs answers JSON', () => {
+  const { req, res } = exchange('multipart/mixed');
+  sendPipelineResult(req, res, result([{ type: 's3', bucket: 'b', key: 'k', src: 'a' }]), { startTime: Date.now() });
+  assert.equal(res.body, undefined);
+  assert.equal(res.payload.outputs.length, 1);
+});
+
+test('export names must not contain control characters', () => {
+  const pipeline = (name) => ({ inputs: { a: 'url' }, steps: [{ op: 'export', src: 'a', name }] });
+  assert.equal(validatePipeline(pipeline('${base}-web')).valid, true);
+  assert.equal(validatePipeline(pipeline('web\r\nX-Injected: 1')).valid, false);
+});
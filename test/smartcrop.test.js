@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { targetAspect, largestBox, place, parsePgm, densestSpan, alphaBox } from '../src/smartcrop.js';
+
+test('targetAspect reads aspect, else width / height', () => {
+  assert.equal(targetAspect({ aspect: '3:4' }), 0.75);
+  assert.equal(targetAspect({ width: 1600, height: 900 }), 16 / 9);
+  assert.throws(() => targetAspect({ aspect: '0:4' }), /Invalid aspect ratio/);
+});
+
+test('largestBox spans the whole limiting axis', () => {
+  assert.deepEqual(largestBox(1000, 500, 1), { w: 500, h: 500 });
+  assert.deepEqual(largestBox(400, 1000, 0.8), { w: 400, h: 500 });
+});
+
+test('place centers a span and keeps it inside the image', () => {
+  assert.equal(place(500, 200, 1000), 400);
+  assert.equal(place(50, 200, 1000), 0);
+  assert.equal(place(990, 200, 1000), 800);
+});
+
+test('parsePgm reads a plain PGM into rows', () => {
+  const rows = parsePgm('P2\n# comment\n3 2\n255\n0 1 2\n3 4 5\n');
+  assert.deepEqual(rows, [[0, 1, 2], [3, 4, 5]]);
+  assert.throws(() => parsePgm('P5 3 2 255'), /could not read the edge map/);
+});
+
+test('densestSpan moves the box over the densest cells', () => {
+  const sums = new Array(10).fill(0);
+  sums[8] = 100;
+  // A 500px span (5 cells) of a 1000px axis: windows 4-8 and 5-9 tie, so it sits between them
+  assert.equal(densestSpan(sums, 500, 1000), 450);
+  sums.fill(0);
+  sums[0] = 100;
+  assert.equal(densestSpan(sums, 500, 1000), 0);
+});
+
+test('densestSpan centers on the middle of tied windows', () => {
+  const sums = new Array(10).fill(0);
+  sums[4] = 50;
+  sums[5] = 50;
+  // Every 3-cell window covering both cells ties; the box centers on them
+  assert.equal(densestSpan(sums, 300, 1000), 350);
+});
+
+test('alphaBox returns the subject box only when alpha singles one out', () => {
+  assert.deepEqual(alphaBox('200x100+10+20\n', 1000, 800), { x: 10, y: 20, w: 200, h: 100 });
+  assert.equal(alphaBox('1000x800+0+0', 1000, 800), null);
+  assert.equal(alphaBox('0x0+0+0', 1000, 800), null);
+  assert.equal(alphaBox('', 1000, 800), null);
+});